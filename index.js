@@ -2,8 +2,24 @@
 
 exports = module.exports = require('./lib/middleware');
 
+exports.authorize = require('./lib/authorize');
+exports.koa = require('./lib/koa');
+exports.http = require('./lib/http');
+
 exports.Permission = require('./lib/permission');
+exports.Registry = require('./lib/registry');
+exports.Roles = require('./lib/roles');
+exports.routes = require('./lib/routes');
+exports.can = require('./lib/can');
+exports.condition = require('./lib/condition');
+exports.policy = require('./lib/policy');
+exports.events = require('./lib/events').emitter;
 
 exports.any = require('./lib/helper').any;
 exports.all = require('./lib/helper').all;
-exports.has = require('./lib/helper').has;
\ No newline at end of file
+exports.has = require('./lib/helper').has;
+exports.not = require('./lib/helper').not;
+exports.none = require('./lib/helper').none;
+exports.atLeast = require('./lib/helper').atLeast;
+exports.explain = require('./lib/helper').explain;
+exports.filter = require('./lib/helper').filter;
\ No newline at end of file
@@ -0,0 +1,258 @@
+'use strict';
+/* jshint latedef:false */
+
+var any = require('./helper').any;
+var has = require('./helper').has;
+var explain = require('./helper').explain;
+var invoke = require('./util').invoke;
+var isOptions = require('./util').isOptions;
+var promisify = require('./util').promisify;
+var report = require('./events').report;
+
+
+/**
+ * Framework-neutral authorization core, used by the Express middleware and
+ * the other adapters. Creates a function that tests a request (or whatever
+ * object the framework's permission getters and tests expect, such as Koa's
+ * context) against the given permissions.
+ *
+ * Arguments are handled just like by the middleware factory: multiple
+ * permissions are treated as an ANY clause and an options object may be
+ * given as the last argument:
+ *
+ *    var check = authorize(ANY, OF, THESE, {trace: true});
+ *
+ *    check(req, function (err, allowed) { ... });
+ *    check(req).then(function (allowed) { ... });
+ *
+ * Options not given fall back to those in `authorize.defaults` (adapters
+ * have their own defaults, see {@link withDefaults}). The core handles the
+ * `order` option, which sets how multiple permissions are evaluated (see
+ * {@link all}) and is read whenever a request is tested, and the `trace`
+ * option: if set, the decision tree explaining why the request was allowed
+ * or denied (see {@link explain}) is stored in `req.permissionDecision`. If
+ * it's a function, it's also called with the decision and the request (e.g.
+ * for logging). Other options (such as how to handle denied requests) are
+ * left to the adapters, which can read them through the returned function's
+ * `option()` method.
+ *
+ * Every decision (and error) is reported through `permission.events`, with
+ * `guard` as its source (see {@link events}).
+ *
+ * Guards may also run in report-only mode (the `reportOnly` option), in
+ * which denied requests are let through but still reported (with the
+ * event's `reportOnly` flag set). Adapters find out whether to let a denied
+ * request through with the returned function's `reportOnly()` method.
+ *
+ * @param {...Permission} permission Permission that will test the request.
+ * @param {Object=} options
+ *
+ * @returns {function(req, function(Error, boolean)=)} A function that tests
+ *  the request, returning a promise for the result if no callback is given.
+ */
+module.exports = withDefaults(function () {
+  return module.exports.defaults;
+});
+
+
+/**
+ * Creates an authorization core whose options fall back to the given
+ * defaults instead of `authorize.defaults`, so each adapter can be
+ * configured on its own.
+ * @param {function(): Object} getDefaults Returns the current defaults.
+ * @returns {function} A function taking the same arguments as
+ *  `authorize()`.
+ */
+function withDefaults(getDefaults) {
+  return function () {
+    var permissions = Array.prototype.slice.call(arguments);
+    var options = isOptions(permissions[permissions.length - 1]) ?
+      permissions.pop() :
+      {};
+
+    if (!permissions.length) {
+      throw(new Error('Missing permissions'));
+    }
+
+    var single = permissions.length === 1 && has(permissions[0]);
+    var composites = {};
+
+    /**
+     * Gets the test for the given permissions. Multiple permissions are
+     * combined using the `order` in effect when the request is tested, so
+     * changing it in the defaults also affects existing guards.
+     * @returns {function(req, function(Error, boolean))}
+     */
+    function getTest() {
+      var order;
+
+      if (single) {
+        return single;
+      }
+
+      order = getOption(options, 'order', getDefaults()) || 'parallel';
+
+      if (!composites.hasOwnProperty(order)) {
+        composites[order] = any(permissions, {order: order});
+      }
+
+      return composites[order];
+    }
+
+    // Invalid permissions or orders throw right away
+    getTest();
+
+    var check = promisify(function (req, done) {
+      var trace = getOption(options, 'trace', getDefaults());
+      var test;
+      var callback;
+
+      try {
+        test = getTest();
+      } catch (err) {
+        return done(err);
+      }
+
+      callback = audit(req, test.codes || [],
+        Boolean(getOption(options, 'reportOnly', getDefaults())), done);
+
+      if (!trace) {
+        return invoke(test, req, callback);
+      }
+
+      explain(test, req, function (err, decision) {
+        if (err) { return callback(err); }
+
+        req.permissionDecision = decision;
+
+        if (typeof trace === 'function') {
+          trace(decision, req);
+        }
+
+        callback(null, decision.allowed, decision);
+      });
+    });
+
+    /**
+     * Gets the value of an option, falling back to the defaults.
+     * @param {String} name
+     * @returns {*}
+     */
+    check.option = function (name) {
+      return getOption(options, name, getDefaults());
+    };
+
+    /**
+     * Checks if the guard is in report-only mode, in which case a denied
+     * request (or an error) should not be enforced. If the `reportOnly`
+     * option is a function, it's called with the request and the error, if
+     * any, to record the would-be denial.
+     * @param {Object} req
+     * @param {Error=} err
+     * @returns {Boolean} Whether the request should be let through.
+     */
+    check.reportOnly = function (req, err) {
+      var reportOnly = getOption(options, 'reportOnly', getDefaults());
+
+      if (!reportOnly) {
+        return false;
+      }
+
+      if (typeof reportOnly === 'function') {
+        reportOnly(req, err || null);
+      }
+
+      return true;
+    };
+
+    return check;
+  };
+}
+
+
+/**
+ * Wraps a guard's callback so that its decision is reported through
+ * `permission.events` before being passed on.
+ * @param {Object} req
+ * @param {Array} codes Codes of the permissions tested by the guard.
+ * @param {Boolean} reportOnly Whether the guard is in report-only mode.
+ * @param {function(Error, boolean)} done
+ * @returns {function(Error, boolean, Object=)} Also accepts the decision
+ *  tree, if the guard is traced.
+ * @private
+ */
+function audit(req, codes, reportOnly, done) {
+  var startedAt = Date.now();
+
+  return function (err, allowed, decision) {
+    var event = {
+      source: 'guard',
+      req: req,
+      codes: codes,
+      startedAt: startedAt
+    };
+
+    if (err) {
+      event.error = err;
+    } else {
+      event.allowed = Boolean(allowed);
+    }
+
+    if (decision) {
+      event.decision = decision;
+    }
+
+    if (reportOnly) {
+      event.reportOnly = true;
+    }
+
+    report(event);
+    done(err, allowed);
+  };
+}
+
+
+/**
+ * Gets the value of an option, falling back to the default value if it is
+ * not defined in the given options.
+ * @param {Object} options
+ * @param {String} name
+ * @param {Object} defaults
+ * @returns {*}
+ * @private
+ */
+function getOption(options, name, defaults) {
+  return options[name] !== undefined ? options[name] : defaults[name];
+}
+
+
+/**
+ * Defines the `defaults` property of an adapter (or of the core), holding
+ * the options used by every guard it creates unless overridden. Assigning a
+ * new object replaces the defaults, but options it doesn't set keep their
+ * built-in value (e.g. the `403` status).
+ * @param {Object} target
+ */
+function defineDefaults(target) {
+  var defaults = {status: 403};
+
+  Object.defineProperty(target, 'defaults', {
+    enumerable: true,
+    get: function () {
+      return defaults;
+    },
+    set: function (options) {
+      defaults = {status: 403};
+
+      Object.keys(options || {}).forEach(function (name) {
+        defaults[name] = options[name];
+      });
+    }
+  });
+}
+
+
+defineDefaults(module.exports);
+
+module.exports.withDefaults = withDefaults;
+module.exports.defineDefaults = defineDefaults;
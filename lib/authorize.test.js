@@ -0,0 +1,160 @@
+'use strict';
+/* global describe:true, it:true */
+
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+var authorize = require('./authorize');
+var Permission = require('./permission');
+
+
+describe('authorize()', function () {
+  var p1, p2;
+  var req;
+  var originalDefaults;
+
+  function clearPermissionCodes() {
+    Permission.registry.reset();
+  }
+
+  before(clearPermissionCodes);
+  afterEach(clearPermissionCodes);
+
+  beforeEach(function () {
+    originalDefaults = authorize.defaults;
+    authorize.defaults = {status: 403};
+
+    req = {};
+    p1 = new Permission(1);
+    p2 = new Permission(2);
+
+    sinon.stub(p1, 'getPermissions');
+    sinon.stub(p2, 'getPermissions');
+  });
+
+  afterEach(function () {
+    authorize.defaults = originalDefaults;
+  });
+
+
+  it('is a function', function () {
+    expect(authorize).to.be.a('function');
+  });
+
+  it('throws if no permission is passed', function () {
+    function withoutPermissions() {
+      return authorize({trace: true});
+    }
+
+    expect(withoutPermissions).to.throw('Missing permissions');
+  });
+
+  it('returns a function that tests the request', function (done) {
+    var check = authorize(p1);
+
+    p1.getPermissions.returns({1: true});
+    check(req, function (err, allow) {
+      expect(err).to.not.exist;
+      expect(allow).to.be.true;
+      done();
+    });
+  });
+
+  it('returns a promise if no callback is given', function () {
+    p1.getPermissions.returns({1: false});
+
+    return authorize(p1)(req).then(function (allow) {
+      expect(allow).to.be.false;
+    });
+  });
+
+  it('treats multiple permissions as an ANY clause', function () {
+    p1.getPermissions.returns({1: false});
+    p2.getPermissions.returns({2: true});
+
+    return authorize(p1, p2)(req).then(function (allow) {
+      expect(allow).to.be.true;
+    });
+  });
+
+  it('treats arrays of permissions as an ALL clause', function () {
+    p1.getPermissions.returns({1: false});
+    p2.getPermissions.returns({2: true});
+
+    return authorize([p1, p2])(req).then(function (allow) {
+      expect(allow).to.be.false;
+    });
+  });
+
+  it('evaluates multiple permissions in the given `order`', function () {
+    p1.getPermissions.returns({1: true});
+    p2.getPermissions.returns({2: true});
+
+    return authorize(p1, p2, {order: 'series'})(req).then(function (allow) {
+      expect(allow).to.be.true;
+      expect(p2.getPermissions.called).to.be.false;
+    });
+  });
+
+  it('reads the default `order` when testing a request', function () {
+    var check = authorize(p1, p2);
+
+    p1.getPermissions.returns({1: true});
+    p2.getPermissions.returns({2: true});
+    authorize.defaults.order = 'series';
+
+    return check(req).then(function (allow) {
+      expect(allow).to.be.true;
+      expect(p2.getPermissions.called).to.be.false;
+    });
+  });
+
+  it('throws if the given `order` is invalid', function () {
+    function withInvalidOrder() {
+      return authorize(p1, p2, {order: 'random'});
+    }
+
+    expect(withInvalidOrder).to.throw('Invalid order: random');
+  });
+
+  it('passes errors on', function (done) {
+    var error = new Error('test failed');
+    var check = authorize(function () {
+      throw error;
+    });
+
+    check(req, function (err) {
+      expect(err).to.equal(error);
+      done();
+    });
+  });
+
+  it('traces the decision if the `trace` option is set', function () {
+    var trace = sinon.spy();
+    p1.getPermissions.returns({1: true});
+
+    return authorize(p1, {trace: trace})(req).then(function (allow) {
+      expect(allow).to.be.true;
+      expect(req.permissionDecision.code).to.equal(1);
+      expect(trace).to.have.been.calledWith(req.permissionDecision, req);
+    });
+  });
+
+
+  describe('generated function', function () {
+    describe('#option()', function () {
+      it('returns the given options', function () {
+        var check = authorize(p1, {status: 404});
+        expect(check.option('status')).to.equal(404);
+      });
+
+      it('falls back to the defaults', function () {
+        var check = authorize(p1, {body: 'Nope'});
+        authorize.defaults.body = 'Denied';
+        expect(check.option('status')).to.equal(403);
+        expect(check.option('body')).to.equal('Nope');
+      });
+    });
+  });
+});
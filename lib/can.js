@@ -0,0 +1,39 @@
+'use strict';
+
+var has = require('./helper').has;
+var promisify = require('./util').promisify;
+
+
+/**
+ * Middleware factory attaching `req.can()` to requests, so handlers can
+ * branch on a permission instead of having the whole route guarded:
+ *
+ *    app.use(permission.can());
+ *
+ *    app.get('/posts', function (req, res, next) {
+ *      req.can(EDIT_POST).then(function (canEdit) {
+ *        res.send(canEdit ? allPosts() : publishedPosts());
+ *      }, next);
+ *    });
+ *
+ * `req.can(permission, done)` accepts anything the middleware factory
+ * accepts as a single permission (permission instances, composites, test
+ * functions and arrays, treated as ALL clauses). It calls `done` with
+ * `(err, allowed)`, or returns a promise for the result if no callback is
+ * given. Decisions are cached per request like for any other test (see
+ * {@link Permission#explain}), so checking a permission that already guarded
+ * the route doesn't evaluate it again.
+ *
+ * Works with Express, Connect and plain Node `http` servers.
+ *
+ * @returns {function(req, res, next)}
+ */
+module.exports = function () {
+  return function (req, res, next) {
+    req.can = function (permission, done) {
+      return promisify(has(permission))(req, done);
+    };
+
+    next();
+  };
+};
@@ -0,0 +1,106 @@
+'use strict';
+/* global describe:true, it:true */
+
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+var can = require('./can');
+var Permission = require('./permission');
+
+var any = require('./helper').any;
+
+
+describe('can()', function () {
+  var p1, p2;
+  var req;
+  var next;
+
+  function clearPermissionCodes() {
+    Permission.registry.reset();
+  }
+
+  before(clearPermissionCodes);
+  afterEach(clearPermissionCodes);
+
+  beforeEach(function () {
+    p1 = new Permission(1);
+    p2 = new Permission(2);
+
+    sinon.stub(Permission.prototype, 'getPermissions')
+      .returns({1: true, 2: false});
+
+    req = {};
+    next = sinon.spy();
+
+    can()(req, {}, next);
+  });
+
+  afterEach(function () {
+    Permission.prototype.getPermissions.restore();
+  });
+
+
+  it('attaches can() to the request', function () {
+    expect(req.can).to.be.a('function');
+    expect(next.calledOnce).to.be.true;
+    expect(next.args[0]).to.be.empty;
+  });
+
+  describe('req.can()', function () {
+    it('returns a promise for the result', function () {
+      return Promise.all([req.can(p1), req.can(p2)]).then(function (results) {
+        expect(results).to.deep.equal([true, false]);
+      });
+    });
+
+    it('accepts a callback', function (done) {
+      req.can(p1, function (err, allowed) {
+        expect(err).to.not.exist;
+        expect(allowed).to.be.true;
+        done();
+      });
+    });
+
+    it('accepts composites, test functions and arrays', function () {
+      var isAdmin = function (req) {
+        return Boolean(req.admin);
+      };
+
+      return Promise.all([
+        req.can(isAdmin),
+        req.can([p1, p2]),
+        req.can(any(p1, p2))
+      ]).then(function (results) {
+        expect(results).to.deep.equal([false, false, true]);
+      });
+    });
+
+    it('uses the decisions cached for the request', function () {
+      return req.can(p1).then(function () {
+        return req.can(p1);
+      }).then(function (allowed) {
+        expect(allowed).to.be.true;
+        expect(Permission.prototype.getPermissions.calledOnce).to.be.true;
+      });
+    });
+
+    it('passes errors on', function () {
+      var err = new Error('Boom');
+
+      Permission.prototype.getPermissions.throws(err);
+
+      return req.can(p1).then(function () {
+        throw(new Error('Should have failed'));
+      }, function (e) {
+        expect(e).to.equal(err);
+      });
+    });
+
+    it('throws an error for invalid permissions', function () {
+      expect(function () {
+        return req.can({});
+      }).to.throw('Invalid permission');
+    });
+  });
+});
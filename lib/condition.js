@@ -0,0 +1,226 @@
+'use strict';
+/* jshint latedef:false */
+
+var get = require('./util').get;
+
+
+/**
+ * Declarative conditions, an alternative to test functions that can be
+ * stored as JSON and reviewed outside the code. A condition compares
+ * attributes of the request with values or with other attributes:
+ *
+ *    {or: [
+ *      {eq: ['post.public', true]},
+ *      {eq: ['post.owner', {attr: 'user.id'}]},
+ *      {contains: ['post.contributors', {attr: 'user.id'}]}
+ *    ]}
+ *
+ * Attributes are dot-separated paths in the request (`user.id` is
+ * `req.user.id`). The `req.` prefix may be used for the request's own
+ * properties (`req.method`). The supported operators are:
+ *
+ * - `{eq: [attribute, value]}`: the attribute equals the value;
+ * - `{ne: [attribute, value]}`: the attribute doesn't equal the value;
+ * - `{in: [attribute, [values...]]}`: the attribute is one of the values;
+ * - `{contains: [attribute, value]}`: the attribute (an array or a string)
+ *   contains the value;
+ * - `{and: [conditions...]}`, `{or: [conditions...]}` and
+ *   `{not: condition}`.
+ *
+ * Values may be JSON values or `{attr: path}` references to other
+ * attributes. They're compared with strict equality, so `'12'` doesn't
+ * equal `12`. Comparisons involving a missing attribute (`undefined` or
+ * `null`), whether compared or referenced, are always false, even with
+ * `ne`.
+ *
+ * @module condition
+ */
+
+
+
+/**
+ * Compiles a condition into a test function, which may be passed to the
+ * `Permission` constructor (which also accepts conditions directly).
+ * @param {Object} condition
+ * @returns {function(req): boolean}
+ * @throws {Error} If the condition is invalid.
+ */
+function compile(condition) {
+  var test;
+
+  check(condition);
+
+  test = function (req) {
+    return evaluate(condition, req);
+  };
+
+  /**
+   * The compiled condition.
+   * @type {Object}
+   */
+  test.condition = condition;
+
+  return test;
+}
+
+
+/**
+ * Evaluates a condition against a request. The condition isn't checked, so
+ * conditions from untrusted sources should be compiled first.
+ * @param {Object} condition
+ * @param {Object} req
+ * @returns {Boolean}
+ */
+function evaluate(condition, req) {
+  var operator = Object.keys(condition)[0];
+  var args = condition[operator];
+  var actual;
+  var expected;
+
+  switch (operator) {
+    case 'and':
+      return args.every(function (condition) {
+        return evaluate(condition, req);
+      });
+    case 'or':
+      return args.some(function (condition) {
+        return evaluate(condition, req);
+      });
+    case 'not':
+      return !evaluate(args, req);
+  }
+
+  actual = attribute(req, args[0]);
+  expected = value(req, args[1]);
+
+  // Missing attributes never match, so that, e.g., anonymous requests don't
+  // own posts without an owner
+  if (isMissing(actual) || (isReference(args[1]) && isMissing(expected))) {
+    return false;
+  }
+
+  return OPERATORS[operator](actual, expected);
+}
+
+
+/**
+ * Comparison operators, called with the attribute's value and the operand.
+ * @type {Object.<String, function(*, *): boolean>}
+ * @private
+ */
+var OPERATORS = {
+  eq: function (actual, expected) {
+    return actual === expected;
+  },
+
+  ne: function (actual, expected) {
+    return actual !== expected;
+  },
+
+  in: function (actual, expected) {
+    return Array.isArray(expected) && expected.indexOf(actual) !== -1;
+  },
+
+  contains: function (actual, expected) {
+    if (typeof actual === 'string') {
+      return typeof expected === 'string' && actual.indexOf(expected) !== -1;
+    }
+
+    return Array.isArray(actual) && actual.indexOf(expected) !== -1;
+  }
+};
+
+
+/**
+ * Checks that a condition is well formed.
+ * @param {*} condition
+ * @throws {Error} If it isn't.
+ * @private
+ */
+function check(condition) {
+  var keys = condition && typeof condition === 'object' &&
+    !Array.isArray(condition) ? Object.keys(condition) : [];
+  var operator = keys[0];
+  var args = condition && condition[operator];
+
+  function fail(reason) {
+    throw(new Error('Invalid condition: ' + reason));
+  }
+
+  if (keys.length !== 1) {
+    fail(JSON.stringify(condition));
+  }
+
+  if (operator === 'and' || operator === 'or') {
+    if (!Array.isArray(args) || !args.length) {
+      fail(operator + ' expects a list of conditions');
+    }
+
+    return args.forEach(check);
+  }
+
+  if (operator === 'not') {
+    return check(args);
+  }
+
+  if (!OPERATORS.hasOwnProperty(operator)) {
+    fail('unknown operator ' + operator);
+  }
+
+  if (!Array.isArray(args) || args.length !== 2 ||
+      typeof args[0] !== 'string') {
+    fail(operator + ' expects an attribute and a value');
+  }
+}
+
+
+/**
+ * Gets the value of an attribute of the request.
+ * @param {Object} req
+ * @param {String} path
+ * @returns {*}
+ * @private
+ */
+function attribute(req, path) {
+  return path.indexOf('req.') === 0 ? get(req, path.slice(4)) : get(req, path);
+}
+
+
+/**
+ * Resolves an operand, which may be a reference to an attribute.
+ * @param {Object} req
+ * @param {*} operand
+ * @returns {*}
+ * @private
+ */
+function value(req, operand) {
+  return isReference(operand) ? attribute(req, operand.attr) : operand;
+}
+
+
+/**
+ * Checks if an operand is a reference to an attribute (`{attr: path}`).
+ * @param {*} operand
+ * @returns {Boolean}
+ * @private
+ */
+function isReference(operand) {
+  return Boolean(operand) && typeof operand === 'object' &&
+    !Array.isArray(operand) && typeof operand.attr === 'string';
+}
+
+
+/**
+ * Checks if an attribute's value is missing (`undefined` or `null`).
+ * @param {*} value
+ * @returns {Boolean}
+ * @private
+ */
+function isMissing(value) {
+  return value === undefined || value === null;
+}
+
+
+
+exports.compile = compile;
+exports.evaluate = evaluate;
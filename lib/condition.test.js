@@ -0,0 +1,131 @@
+'use strict';
+/* global describe:true, it:true */
+
+
+var expect = require('chai').expect;
+
+var condition = require('./condition');
+
+
+describe('condition', function () {
+  var req = {
+    method: 'GET',
+    user: {id: 7, roles: ['editor'], name: 'Ada'},
+    post: {owner: 7, public: false, contributors: [3, 5]}
+  };
+
+  function evaluate(cond) {
+    return condition.compile(cond)(req);
+  }
+
+
+  describe('.compile()', function () {
+    it('returns a test function', function () {
+      var test = condition.compile({eq: ['user.id', 7]});
+      expect(test).to.be.a('function');
+      expect(test.condition).to.deep.equal({eq: ['user.id', 7]});
+    });
+
+    it('throws an error for unknown operators', function () {
+      function withUnknownOperator() {
+        return condition.compile({gt: ['user.id', 7]});
+      }
+
+      expect(withUnknownOperator)
+        .to.throw('Invalid condition: unknown operator gt');
+    });
+
+    it('throws an error for malformed conditions', function () {
+      expect(function () {
+        return condition.compile({eq: ['user.id']});
+      }).to.throw('Invalid condition: eq expects an attribute and a value');
+
+      expect(function () {
+        return condition.compile({and: []});
+      }).to.throw('Invalid condition: and expects a list of conditions');
+
+      expect(function () {
+        return condition.compile({eq: ['user.id', 7], ne: ['user.id', 8]});
+      }).to.throw('Invalid condition: ');
+
+      expect(function () {
+        return condition.compile({not: {lt: ['user.id', 7]}});
+      }).to.throw('Invalid condition: unknown operator lt');
+    });
+  });
+
+
+  describe('operators', function () {
+    it('eq compares attributes with values', function () {
+      expect(evaluate({eq: ['user.id', 7]})).to.be.true;
+      expect(evaluate({eq: ['user.id', '7']})).to.be.false;
+      expect(evaluate({eq: ['req.method', 'GET']})).to.be.true;
+      expect(evaluate({eq: ['user.missing.id', 7]})).to.be.false;
+    });
+
+    it('eq compares attributes with other attributes', function () {
+      expect(evaluate({eq: ['post.owner', {attr: 'user.id'}]})).to.be.true;
+      expect(evaluate({eq: ['post.public', {attr: 'user.id'}]})).to.be.false;
+    });
+
+    it('ne checks for different values', function () {
+      expect(evaluate({ne: ['req.method', 'POST']})).to.be.true;
+      expect(evaluate({ne: ['user.id', 7]})).to.be.false;
+    });
+
+    it('in checks for one of the given values', function () {
+      expect(evaluate({in: ['req.method', ['GET', 'HEAD']]})).to.be.true;
+      expect(evaluate({in: ['user.id', [3, 5]]})).to.be.false;
+      expect(evaluate({in: ['user.id', 7]})).to.be.false;
+    });
+
+    it('contains checks arrays and strings', function () {
+      expect(evaluate({contains: ['user.roles', 'editor']})).to.be.true;
+      expect(evaluate({contains: ['post.contributors', {attr: 'user.id'}]}))
+        .to.be.false;
+      expect(evaluate({contains: ['user.name', 'd']})).to.be.true;
+      expect(evaluate({contains: ['user.id', 7]})).to.be.false;
+    });
+
+    it('never match missing attributes', function () {
+      var anonymous = {post: {status: null}};
+
+      function evaluateAnonymous(cond) {
+        return condition.compile(cond)(anonymous);
+      }
+
+      expect(evaluateAnonymous({eq: ['post.owner', {attr: 'user.id'}]}))
+        .to.be.false;
+      expect(evaluateAnonymous({ne: ['user.status', 'banned']})).to.be.false;
+      expect(evaluateAnonymous({ne: ['post.status', 'draft']})).to.be.false;
+      expect(evaluateAnonymous({in: ['post.owner', [undefined, null]]}))
+        .to.be.false;
+      expect(evaluateAnonymous({contains: ['post.tags', 'news']})).to.be.false;
+    });
+
+    it('never match missing referenced attributes', function () {
+      expect(evaluate({ne: ['post.owner', {attr: 'user.missing'}]}))
+        .to.be.false;
+      expect(evaluate({contains: ['post.contributors', {attr: 'user.age'}]}))
+        .to.be.false;
+      expect(evaluate({eq: ['post.owner', {attr: 'post.owner'}]})).to.be.true;
+    });
+
+    it('and, or and not combine conditions', function () {
+      var isOwner = {eq: ['post.owner', {attr: 'user.id'}]};
+      var isPublic = {eq: ['post.public', true]};
+
+      expect(evaluate({and: [isOwner, isPublic]})).to.be.false;
+      expect(evaluate({or: [isPublic, isOwner]})).to.be.true;
+      expect(evaluate({not: isPublic})).to.be.true;
+      expect(evaluate({and: [isOwner, {not: isPublic}]})).to.be.true;
+    });
+  });
+
+
+  describe('.evaluate()', function () {
+    it('evaluates a condition against a request', function () {
+      expect(condition.evaluate({eq: ['user.id', 7]}, req)).to.be.true;
+    });
+  });
+});
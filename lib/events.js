@@ -0,0 +1,73 @@
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+
+
+/**
+ * Emitter of authorization decisions, for audit logging and monitoring.
+ * Exposed as `permission.events`:
+ *
+ *    permission.events.on('deny', function (event) {
+ *      audit.log('denied', event.codes, event.req.user.id);
+ *    });
+ *
+ * Every permission test (see {@link Permission#test}) and every guard (see
+ * {@link authorize}) emits one of these events once its decision is made:
+ *
+ * - `allow`: the request was allowed;
+ * - `deny`: the request was denied;
+ * - `error`: the evaluation failed. Unlike with other emitters, it's only
+ *   emitted if it has listeners, so unhandled `error` events don't crash the
+ *   application (the error is still passed on to the caller).
+ *
+ * A `decision` event is also emitted for all of them. Listeners receive an
+ * object describing the decision:
+ *
+ *    {
+ *      source: 'permission',   // Or 'guard'
+ *      req: req,               // The tested request (or Koa context)
+ *      codes: [12],            // Codes of the permissions involved
+ *      allowed: false,         // Not set for errors
+ *      error: undefined,       // The error, if the evaluation failed
+ *      decision: {...},        // Decision tree (see `explain()`), if known
+ *      startedAt: 1500000000000,
+ *      duration: 3             // In milliseconds
+ *    }
+ *
+ * Listeners are called synchronously, before the result is passed on, and
+ * must not throw.
+ *
+ * @type {EventEmitter}
+ */
+var emitter = new EventEmitter();
+
+
+
+/**
+ * Emits the events for an authorization decision.
+ * @param {Object} event The decision's description (see {@link emitter}),
+ *  with its start time. The duration is computed here.
+ * @private
+ */
+function report(event) {
+  var name;
+
+  if (event.error) {
+    name = 'error';
+  } else {
+    name = event.allowed ? 'allow' : 'deny';
+  }
+
+  event.duration = Date.now() - event.startedAt;
+
+  if (name !== 'error' || emitter.listenerCount('error')) {
+    emitter.emit(name, event);
+  }
+
+  emitter.emit('decision', event);
+}
+
+
+
+exports.emitter = emitter;
+exports.report = report;
@@ -0,0 +1,181 @@
+'use strict';
+/* global describe:true, it:true */
+
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+var events = require('./events').emitter;
+var authorize = require('./authorize');
+var helper = require('./helper');
+var Permission = require('./permission');
+
+
+describe('events', function () {
+  var p1, p2;
+  var listener;
+  var req;
+
+  function clearPermissionCodes() {
+    Permission.registry.reset();
+  }
+
+  before(clearPermissionCodes);
+  afterEach(clearPermissionCodes);
+
+  beforeEach(function () {
+    req = {};
+    listener = sinon.spy();
+    p1 = new Permission(1);
+    p2 = new Permission(2);
+
+    sinon.stub(p1, 'getPermissions');
+    sinon.stub(p2, 'getPermissions');
+  });
+
+  afterEach(function () {
+    events.removeAllListeners();
+  });
+
+
+  it('is an event emitter', function () {
+    expect(events.on).to.be.a('function');
+    expect(events.emit).to.be.a('function');
+  });
+
+
+  describe('for permissions', function () {
+    it('reports allowed requests', function () {
+      events.on('allow', listener);
+      p1.getPermissions.returns({1: true});
+
+      return p1.test(req).then(function () {
+        var event = listener.firstCall.args[0];
+
+        expect(listener).to.have.been.calledOnce;
+        expect(event.source).to.equal('permission');
+        expect(event.req).to.equal(req);
+        expect(event.codes).to.deep.equal([1]);
+        expect(event.allowed).to.be.true;
+        expect(event.decision.code).to.equal(1);
+        expect(event.startedAt).to.be.a('number');
+        expect(event.duration).to.be.at.least(0);
+      });
+    });
+
+    it('reports denied requests', function () {
+      events.on('deny', listener);
+      events.on('allow', sinon.mock().never());
+      p1.getPermissions.returns({1: false});
+
+      return p1.test(req).then(function () {
+        expect(listener).to.have.been.calledOnce;
+        expect(listener.firstCall.args[0].allowed).to.be.false;
+      });
+    });
+
+    it('reports errors', function (done) {
+      var error = new Error('lookup failed');
+
+      events.on('error', listener);
+      p1.getPermissions.throws(error);
+
+      p1.test(req, function (err) {
+        expect(err).to.equal(error);
+        expect(listener).to.have.been.calledOnce;
+        expect(listener.firstCall.args[0].error).to.equal(error);
+        expect(listener.firstCall.args[0]).to.not.have.property('allowed');
+        done();
+      });
+    });
+
+    it('does not throw errors if they are not listened to', function (done) {
+      var error = new Error('lookup failed');
+
+      p1.getPermissions.throws(error);
+
+      p1.test(req, function (err) {
+        expect(err).to.equal(error);
+        done();
+      });
+    });
+
+    it('reports every outcome as a decision', function () {
+      events.on('decision', listener);
+      p1.getPermissions.returns({1: true});
+      p2.getPermissions.returns({2: false});
+
+      return helper.all(p1, p2)(req).then(function () {
+        expect(listener).to.have.been.calledTwice;
+      });
+    });
+
+    it('reports the decisions of explained permissions', function () {
+      events.on('decision', listener);
+      p1.getPermissions.returns({1: true});
+
+      return p1.explain(req).then(function (decision) {
+        expect(listener.firstCall.args[0].decision).to.equal(decision);
+      });
+    });
+  });
+
+
+  describe('for guards', function () {
+    beforeEach(function () {
+      events.on('decision', function (event) {
+        if (event.source === 'guard') {
+          listener(event);
+        }
+      });
+    });
+
+    it('reports the codes of every permission involved', function () {
+      p1.getPermissions.returns({1: false});
+      p2.getPermissions.returns({2: true});
+
+      return authorize(p1, helper.not(p2), function () {
+        return true;
+      })(req).then(function () {
+        var event = listener.firstCall.args[0];
+
+        expect(listener).to.have.been.calledOnce;
+        expect(event.codes).to.deep.equal([1, 2]);
+        expect(event.allowed).to.be.true;
+        expect(event.req).to.equal(req);
+      });
+    });
+
+    it('reports errors', function (done) {
+      var error = new Error('lookup failed');
+
+      p1.getPermissions.throws(error);
+
+      authorize(p1)(req, function (err) {
+        expect(err).to.equal(error);
+        expect(listener.firstCall.args[0].error).to.equal(error);
+        done();
+      });
+    });
+
+    it('flags the decisions of report-only guards', function () {
+      p1.getPermissions.returns({1: false});
+
+      return authorize(p1, {reportOnly: true})(req).then(function (allow) {
+        expect(allow).to.be.false;
+        expect(listener.firstCall.args[0].reportOnly).to.be.true;
+      });
+    });
+
+    it('includes the decision tree if traced', function () {
+      p1.getPermissions.returns({1: false});
+
+      return authorize(p1, {trace: true})(req).then(function () {
+        var event = listener.firstCall.args[0];
+
+        expect(event.allowed).to.be.false;
+        expect(event.decision).to.equal(req.permissionDecision);
+      });
+    });
+  });
+});
@@ -3,9 +3,32 @@
 
 
 var async = require('async');
+var invoke = require('./util').invoke;
+var isOptions = require('./util').isOptions;
+var promisify = require('./util').promisify;
+var timeout = require('./util').timeout;
+var timeoutError = require('./util').timeoutError;
+var Permission = require('./permission');
+
+
+/**
+ * Marker used to stop `async.each()` as soon as the result of a composite
+ * test is known.
+ * @private
+ */
+var DECIDED = {};
+
+
+/**
+ * Ways in which the tests of a composite may be evaluated.
+ * @private
+ */
+var ORDERS = ['parallel', 'series', 'cost'];
 
 
 function has(permission) {
+  var test;
+
   if (arguments.length > 1) {
     permission = Array.prototype.slice.call(arguments);
   }
@@ -15,16 +38,45 @@ function has(permission) {
   }
 
   if (typeof permission === 'function') {
-    return permission;
+    // Whatever style the function uses, the test returns a promise when
+    // called without a callback
+    test = promisify(function (req, done) {
+      invoke(permission, req, done);
+    });
+
+    test.explain = promisify(function (req, done) {
+      _evaluate(permission, req, true, function (err, allowed, decision) {
+        if (err) { return done(err); }
+        done(null, decision);
+      });
+    });
+
+    if (permission.codes) {
+      test.codes = permission.codes;
+    }
+  } else if (permission && permission.test) {
+    test = promisify(function (req, done) {
+      return permission.test(req, done);
+    });
+
+    if (typeof permission.explain === 'function') {
+      test.explain = promisify(function (req, done) {
+        return permission.explain(req, done);
+      });
+    }
+
+    if (permission.code !== undefined) {
+      test.codes = [permission.code];
+    }
+  } else {
+    throw(new Error('Invalid permission'));
   }
 
-  if (permission && permission.test) {
-    return function (req, done) {
-      return permission.test(req, done);
-    };
+  if (typeof permission.cost === 'number') {
+    test.cost = permission.cost;
   }
 
-  throw(new Error('Invalid permission'));
+  return test;
 }
 
 
@@ -35,57 +87,509 @@ function has(permission) {
  * Creates a test function that tests if a request has **all** the given
  * permissions.
  *
+ * The tests run in parallel by default. An options object may be given as
+ * the last argument to evaluate them in series instead, stopping at the first
+ * decisive result:
+ *
+ *    // Only queries the remote service if the user may edit posts
+ *    all(EDIT_POST, IS_OWNER_REMOTE, {order: 'series'});
+ *
  * @param {...(function(req)|Permission|Array)} permission Permission to
  *  check against.
+ * @param {Object=} options Additional options:
+ *
+ *  - `order`: `'parallel'` (default) runs every test at once; `'series'` runs
+ *    them one at a time, in the given order; `'cost'` runs them one at a
+ *    time, cheapest first (see {@link Permission#cost}).
+ *  - `cost`: cost of the composite itself, used when it's nested in another
+ *    composite. Defaults to the sum of its tests' costs.
+ *  - `timeout`: maximum time, in milliseconds, the whole evaluation may
+ *    take. Defaults to `Permission.prototype.timeout`.
+ *  - `onTimeout`: `'error'` to pass on a timeout error or `'deny'` to fail
+ *    closed when the evaluation times out. Defaults to
+ *    `Permission.prototype.onTimeout`.
  *
- * @returns {function(req)} A function that checks if the given request object
- *  passes at least one of the permissions.
+ * @returns {function(req, function(Error, boolean)=)} A function that checks
+ *  if the given request object passes all the permissions. If any of the tests
+ *  fails with an error, the error is passed on to its callback. If called
+ *  without a callback, it returns a promise for the result.
  */
-function all(permission) {
-  var permissions = arguments.length === 1 && Array.isArray(permission) ?
-    permission : Array.prototype.slice.call(arguments);
+function all() {
+  var args = _parseArguments(arguments, 0);
+
+  return _composite({type: 'all'}, _getTestArray(args.permissions),
+    function (granted, denied, total) {
+      if (denied) { return false; }
+      if (granted === total) { return true; }
+    }, args.options);
+}
 
-  var tests = _getTestArray(permissions);
 
 
-  return function (req, done) {
-    function runner(test, cb) {
-      test(req, cb);
-    }
+/**
+ * Creates a test function that tests if a request has at least one of the
+ * given permissions.
+ *
+ * @param {...(function(req)|Permission|Array)} permission Permission to
+ *  check against.
+ * @param {Object=} options Additional options (see {@link all}).
+ *
+ * @returns {function(req, function(Error, boolean)=)} A function that checks
+ *  if the given request object passes at least one of the permissions. If any
+ *  of the tests fails with an error before one of them passes, the error is
+ *  passed on to its callback. If called without a callback, it returns a
+ *  promise for the result.
+ */
+function any() {
+  var args = _parseArguments(arguments, 0);
+
+  return _composite({type: 'any'}, _getTestArray(args.permissions),
+    function (granted, denied, total) {
+      if (granted) { return true; }
+      if (denied === total) { return false; }
+    }, args.options);
+}
+
+
 
-    async.all(tests, runner, done);
-  };
+/**
+ * Creates a test function that negates the result of the given
+ * permission(s). Multiple permissions (or an array) are treated as an ALL
+ * clause, as in {@link has}:
+ *
+ *    // Passes unless the user is suspended
+ *    not(User.SUSPENDED);
+ *
+ * @param {...(function(req)|Permission|Array)} permission Permission to
+ *  check against.
+ * @param {Object=} options Additional options (see {@link all}).
+ *
+ * @returns {function(req, function(Error, boolean)=)} A function that checks
+ *  if the given request object does **not** pass the permission(s). Errors
+ *  are passed on to its callback (they are never negated). If called without
+ *  a callback, it returns a promise for the result.
+ */
+function not() {
+  var args = _parseArguments(arguments, 0);
+  var test = args.permissions.length === 1 ?
+    has(args.permissions[0]) :
+    has(args.permissions);
+
+  return _composite({type: 'not'}, [test],
+    function (granted, denied) {
+      if (granted) { return false; }
+      if (denied) { return true; }
+    }, args.options);
 }
 
 
 
 /**
- * Creates a test function that tests if a request has at least one of the
- * given permissions.
+ * Creates a test function that tests if a request has **none** of the given
+ * permissions.
+ *
+ * @param {...(function(req)|Permission|Array)} permission Permission to
+ *  check against.
+ * @param {Object=} options Additional options (see {@link all}).
+ *
+ * @returns {function(req, function(Error, boolean)=)} A function that checks
+ *  if the given request object passes none of the permissions. If called
+ *  without a callback, it returns a promise for the result.
+ */
+function none() {
+  var args = _parseArguments(arguments, 0);
+
+  return not(any(args.permissions, args.options));
+}
+
+
+
+/**
+ * Creates a test function that tests if a request has at least `n` of the
+ * given permissions:
+ *
+ *    // Passes if at least 2 of the 3 approvals are given
+ *    atLeast(2, APPROVAL_A, APPROVAL_B, APPROVAL_C);
  *
+ * @param {Number} n Minimum number of permissions the request must have.
  * @param {...(function(req)|Permission|Array)} permission Permission to
  *  check against.
+ * @param {Object=} options Additional options (see {@link all}).
+ *
+ * @returns {function(req, function(Error, boolean)=)} A function that checks
+ *  if the given request object passes at least `n` of the permissions. If
+ *  any of the tests fails with an error before the result is known, the error
+ *  is passed on to its callback. If called without a callback, it returns a
+ *  promise for the result.
+ */
+function atLeast(n) {
+  var args = _parseArguments(arguments, 1);
+
+  if (typeof n !== 'number' || n < 0 || n % 1 !== 0) {
+    throw(new Error('Invalid threshold: ' + n));
+  }
+
+  return _composite({type: 'atLeast', threshold: n},
+    _getTestArray(args.permissions),
+    function (granted, denied, total) {
+      if (granted >= n) { return true; }
+      if (total - denied < n) { return false; }
+    }, args.options);
+}
+
+
+
+/**
+ * Evaluates the given permission(s) against a request, reporting how the
+ * decision was made instead of just its result. The decision is a tree whose
+ * nodes describe each evaluated permission, test function or composite:
+ *
+ *    {
+ *      type: 'all',
+ *      allowed: false,
+ *      children: [{
+ *        type: 'permission',
+ *        code: 12,
+ *        value: undefined,       // Value found in the permission set
+ *        defaultApplied: true,   // Whether `allowedByDefault` was used
+ *        allowed: false
+ *      }, ...]
+ *    }
+ *
+ * Permission nodes also have a `test` property with the result of the
+ * permission's test function, if it was called. Composites stop evaluating
+ * as soon as their result is known, so their `children` only include the
+ * permissions evaluated up to that point.
+ *
+ * @param {(function(req)|Permission|Array)} permission Permission to check
+ *  against (see {@link has}).
+ * @param {Object} req
+ * @param {function(Error, Object)=} done Called with the decision tree. If
+ *  not given, a promise for the decision tree is returned.
+ * @returns {(Promise|undefined)}
+ */
+function explain(permission, req, done) {
+  var test = has(permission);
+
+  return promisify(function (req, done) {
+    _evaluate(test, req, true, function (err, allowed, decision) {
+      if (err) { return done(err); }
+      done(null, decision);
+    });
+  })(req, done);
+}
+
+
+
+/**
+ * Filters a collection of resources, keeping only those the request has the
+ * given permission for (e.g. the posts of a listing the user may read):
+ *
+ *    filter(READ_POST, req, posts, {as: 'post'}).then(function (posts) {
+ *      res.send(posts);
+ *    });
+ *
+ * The permission is tested once per resource, against a request exposing
+ * that resource: an object inheriting from `req` (so its properties, such as
+ * `req.user`, are still available) with the resource stored in the property
+ * named by the `as` option. Test functions can thus be written just like for
+ * routes that load a single resource, and so can permission set getters
+ * (e.g. for sets stored in the resource). Decisions are cached per resource.
+ *
+ * @param {(function(req)|Permission|Array)} permission Permission to check
+ *  against (see {@link has}).
+ * @param {Object} req
+ * @param {Array} resources
+ * @param {Object=} options
  *
- * @returns {function(req)} A function that checks if the given request object
- *  passes at least one of the permissions.
+ *  - `as`: name of the request property holding the tested resource
+ *    (defaults to `resource`);
+ *  - `concurrency`: maximum number of resources tested at once. All of them
+ *    are tested in parallel by default.
+ *  - `shareSets`: if set, permission sets are retrieved only once, for `req`
+ *    itself, and shared by every resource (see {@link Permission.scope}).
+ *    Avoids retrieving the same sets over and over when getters don't
+ *    depend on the resource.
+ *
+ * @param {function(Error, Array)=} done Called with the allowed resources,
+ *  in their original order. If not given, a promise for them is returned.
+ *  If any test fails with an error, the error is passed on instead.
+ * @returns {(Promise|undefined)}
  */
-function any(permission) {
-  var permissions = arguments.length === 1 && Array.isArray(permission) ?
-    permission : Array.prototype.slice.call(arguments);
+function filter(permission, req, resources, options, done) {
+  var test = has(permission);
+  var property;
+  var concurrency;
+
+  if (typeof options === 'function') {
+    done = options;
+    options = undefined;
+  }
+
+  options = options || {};
+  property = options.as || 'resource';
+  concurrency = options.concurrency;
+
+  if (!Array.isArray(resources)) {
+    throw(new Error('Invalid resources: ' + resources));
+  }
+
+  if (concurrency !== undefined && concurrency !== Infinity &&
+      (typeof concurrency !== 'number' || concurrency < 1 ||
+      concurrency % 1 !== 0)) {
+    throw(new Error('Invalid concurrency: ' + concurrency));
+  }
+
+  var scope = Permission.scope(req, {shareSets: Boolean(options.shareSets)});
+
+  function check(resource, done) {
+    var properties = {};
+
+    properties[property] = resource;
+    invoke(test, scope(properties), done);
+  }
+
+  return promisify(function (req, done) {
+    var callback = function (err, results) {
+      if (err) { return done(err); }
 
-  var tests = _getTestArray(permissions);
+      done(null, resources.filter(function (resource, index) {
+        return results[index];
+      }));
+    };
 
-  return function (req, done) {
-    function runner(test, cb) {
-      test(req, cb);
+    if (concurrency === undefined || concurrency === Infinity) {
+      return async.map(resources, check, callback);
     }
 
-    async.any(tests, runner, done);
-  };
+    async.mapLimit(resources, concurrency, check, callback);
+  })(req, done);
 }
 
 
 
+/**
+ * Creates a composite test function out of the given tests. Tests are run in
+ * parallel (or in series, depending on the `order` option) until `decide()`
+ * returns the composite's result.
+ *
+ * The returned function also has an `explain()` method that evaluates the
+ * tests the same way, but reports a decision tree (see {@link explain}).
+ *
+ * @param {Object} node Properties describing the composite in the decision
+ *  tree.
+ * @param {Array} tests
+ * @param {function(Number, Number, Number): (boolean|undefined)} decide
+ *  Called with the number of granted, denied and total tests. Returns the
+ *  result of the composite or `undefined` if it is not known yet.
+ * @param {Object=} options Options given to the composite (see {@link all}).
+ * @returns {function(req, function(Error, boolean)=)}
+ * @private
+ */
+function _composite(node, tests, decide, options) {
+  options = options || {};
+
+  var order = options.order || 'parallel';
+  var each = order === 'parallel' ? async.each : async.eachSeries;
+  var items = tests.map(function (test, index) {
+    return {test: test, index: index, cost: _getCost(test)};
+  });
+
+  if (ORDERS.indexOf(order) === -1) {
+    throw(new Error('Invalid order: ' + order));
+  }
+
+  if (options.timeout !== undefined &&
+      (typeof options.timeout !== 'number' || !isFinite(options.timeout) ||
+        options.timeout < 0)) {
+    throw(new Error('Invalid timeout: ' + options.timeout));
+  }
+
+  if (options.onTimeout !== undefined &&
+      Permission.ON_TIMEOUT.indexOf(options.onTimeout) === -1) {
+    throw(new Error('Invalid timeout behaviour: ' + options.onTimeout));
+  }
+
+  if (order === 'cost') {
+    items.sort(function (a, b) {
+      return (a.cost - b.cost) || (a.index - b.index);
+    });
+  }
+
+  function evaluate(req, explain, done) {
+    var granted = 0;
+    var denied = 0;
+    var children = [];
+    var result = decide(granted, denied, tests.length);
+    var expired = false;
+    var ms = options.timeout !== undefined ?
+      options.timeout :
+      Permission.prototype.timeout;
+
+    function finish(err, timedOut) {
+      var decision;
+      var key;
+
+      if (err) { return done(err); }
+      if (!explain) { return done(null, result); }
+
+      decision = {};
+
+      for (key in node) {
+        if (node.hasOwnProperty(key)) {
+          decision[key] = node[key];
+        }
+      }
+
+      if (timedOut) {
+        decision.timedOut = true;
+      }
+
+      decision.allowed = result;
+      decision.children = children.filter(Boolean);
+      done(null, decision);
+    }
+
+    if (result !== undefined) {
+      return finish();
+    }
+
+    done = timeout(ms, done, function () {
+      var onTimeout = options.onTimeout || Permission.prototype.onTimeout;
+
+      expired = true;
+
+      if (onTimeout === 'error') {
+        return done(timeoutError(node.type + ' composite', ms));
+      }
+
+      result = false;
+      finish(null, true);
+    });
+
+    function runner(item, cb) {
+      // Tests still pending after a timeout are not started
+      if (expired) { return cb(DECIDED); }
+
+      _evaluate(item.test, req, explain, function (err, allowed, child) {
+        if (expired) { return cb(DECIDED); }
+        if (err) { return cb(err); }
+
+        children[item.index] = child;
+
+        if (allowed) {
+          granted += 1;
+        } else {
+          denied += 1;
+        }
+
+        result = decide(granted, denied, tests.length);
+
+        // Stops as soon as the result is known
+        cb(result === undefined ? null : DECIDED);
+      });
+    }
+
+    each(items, runner, function (err) {
+      finish(err === DECIDED ? null : err);
+    });
+  }
+
+  var test = promisify(function (req, done) {
+    evaluate(req, false, done);
+  });
+
+  test.explain = promisify(function (req, done) {
+    evaluate(req, true, done);
+  });
+
+  test.cost = options.cost !== undefined ?
+    options.cost :
+    items.reduce(function (sum, item) { return sum + item.cost; }, 0);
+
+  // Codes of the permissions involved, reported in decision events
+  test.codes = tests.reduce(function (codes, test) {
+    (test.codes || []).forEach(function (code) {
+      if (codes.indexOf(code) === -1) {
+        codes.push(code);
+      }
+    });
+
+    return codes;
+  }, []);
+
+  return test;
+}
+
+
+
+/**
+ * Runs a single test, optionally building its decision tree node.
+ * @param {function(req, function)} test
+ * @param {Object} req
+ * @param {Boolean} explain Whether a decision tree node should be built.
+ * @param {function(Error, boolean, Object=)} done Called with the test's
+ *  result and, if `explain` is set, its decision tree node.
+ * @private
+ */
+function _evaluate(test, req, explain, done) {
+  if (!explain) {
+    return invoke(test, req, done);
+  }
+
+  if (typeof test.explain === 'function') {
+    return invoke(test.explain.bind(test), req, function (err, decision) {
+      if (err) { return done(err); }
+      done(null, decision.allowed, decision);
+    });
+  }
+
+  invoke(test, req, function (err, allowed) {
+    if (err) { return done(err); }
+
+    done(null, allowed, {
+      type: 'function',
+      name: test.name || undefined,
+      allowed: allowed
+    });
+  });
+}
+
+
+
+/**
+ * Splits the arguments given to a composite factory into its permissions and
+ * options. A single array of permissions may be given instead of multiple
+ * arguments.
+ * @param {Arguments} args
+ * @param {Number} offset Index of the first permission.
+ * @returns {{permissions: Array, options: Object}}
+ * @private
+ */
+function _parseArguments(args, offset) {
+  var permissions = Array.prototype.slice.call(args, offset);
+  var options = isOptions(permissions[permissions.length - 1]) ?
+    permissions.pop() :
+    {};
+
+  if (permissions.length === 1 && Array.isArray(permissions[0])) {
+    permissions = permissions[0];
+  }
+
+  return {permissions: permissions, options: options};
+}
+
+
+
+/**
+ * Gets the cost of evaluating a test (see {@link Permission#cost}).
+ * @param {function(req, function)} test
+ * @returns {Number}
+ * @private
+ */
+function _getCost(test) {
+  return typeof test.cost === 'number' ? test.cost : 0;
+}
 
 
 
@@ -120,4 +624,9 @@ function _getTestArray(permissions) {
 
 exports.has = has;
 exports.all = all;
-exports.any = any;
\ No newline at end of file
+exports.any = any;
+exports.not = not;
+exports.none = none;
+exports.atLeast = atLeast;
+exports.explain = explain;
+exports.filter = filter;
\ No newline at end of file
@@ -8,20 +8,27 @@ var sinon = require('sinon');
 var Permission = require('./permission');
 
 var permission;
-var req = {};
+var req;
 
 function clearPermissionCodes() {
-  Permission._codes = [];
+  Permission.registry.reset();
+}
+
+// Decisions are cached per request, so every test gets its own
+function createRequest() {
+  req = {};
 }
 
 
 
 
+
 describe('has()', function () {
   var has = require('./helper').has;
 
   before(clearPermissionCodes);
   afterEach(clearPermissionCodes);
+  beforeEach(createRequest);
 
   it('is accessible', function () {
     expect(has).to.be.defined;
@@ -55,15 +62,60 @@ describe('has()', function () {
       expect(test).to.be.a('function');
     });
 
-    it('is the argument itself if it\'s a function', function () {
-      function noop() {}
-      var test = has(noop);
-      expect(test).to.equal(noop);
+    it('wraps test functions', function () {
+      function isAdmin(req) {
+        return Boolean(req.admin);
+      }
+
+      return has(isAdmin)({admin: true}).then(function (allow) {
+        expect(allow).to.be.true;
+      });
+    });
+
+    it('returns a promise for callback-style test functions', function () {
+      var test = has(function (req, done) {
+        setImmediate(function () {
+          done(null, true);
+        });
+      });
+
+      return test(req).then(function (allow) {
+        expect(allow).to.be.true;
+      });
+    });
+
+    it('explains test functions', function () {
+      function isAdmin(req) {
+        return Boolean(req.admin);
+      }
+
+      return has(isAdmin).explain(req).then(function (decision) {
+        expect(decision).to.deep.equal({
+          type: 'function',
+          name: 'isAdmin',
+          allowed: false
+        });
+      });
+    });
+
+    it('keeps the codes and cost of composites', function () {
+      var composite = require('./helper').all(permission, {cost: 3});
+      var test = has(composite);
+
+      expect(test.codes).to.deep.equal([123]);
+      expect(test.cost).to.equal(3);
+    });
+
+    it('returns a promise if no callback is given', function () {
+      permission.getPermissions.returns({123: true});
+      return test(req).then(function (allow) {
+        expect(allow).to.be.true;
+      });
     });
 
     it('returns true if the permission is granted', function (done) {
       permission.getPermissions.returns({123: true});
-      test(req, function (allow) {
+      test(req, function (err, allow) {
         expect(allow).to.be.true;
         done();
       });
@@ -71,12 +123,37 @@ describe('has()', function () {
 
     it('returns false if the permission is not granted', function (done) {
       permission.getPermissions.returns({123: false});
-      test(req, function (allow) {
+      test(req, function (err, allow) {
         expect(allow).to.be.false;
         done();
       });
     });
 
+    it('passes on permission lookup errors', function (done) {
+      var error = new Error('lookup failed');
+
+      permission.getPermissions.throws(error);
+      test(req, function (err, allow) {
+        expect(err).to.equal(error);
+        expect(allow).to.not.exist;
+        done();
+      });
+    });
+
+    it('passes on lookup errors from ALL clauses', function (done) {
+      var p1 = new Permission(1);
+      var error = new Error('lookup failed');
+
+      sinon.stub(p1, 'getPermissions').throws(error);
+      permission.getPermissions.returns({123: true});
+
+      has([permission, p1])(req, function (err, allow) {
+        expect(err).to.equal(error);
+        expect(allow).to.not.exist;
+        done();
+      });
+    });
+
     it('checks for ALL permissions if multiple permissions are given',
       function (done) {
         var p1 = new Permission(1);
@@ -91,25 +168,25 @@ describe('has()', function () {
         p1.getPermissions.returns({1: true});
         p2.getPermissions.returns({2: true});
         p3.getPermissions.returns({3: true});
-        test(req, function (allow) {
+        test({}, function (err, allow) {
           expect(allow).to.be.true;
 
           p1.getPermissions.returns({1: false});
           p2.getPermissions.returns({2: true});
           p3.getPermissions.returns({3: true});
-          test(req, function (allow) {
+          test({}, function (err, allow) {
             expect(allow).to.be.false;
 
             p1.getPermissions.returns({1: true});
             p2.getPermissions.returns({2: true});
             p3.getPermissions.returns({3: false});
-            test(req, function (allow) {
+            test({}, function (err, allow) {
               expect(allow).to.be.false;
 
               p1.getPermissions.returns({1: false});
               p2.getPermissions.returns({2: false});
               p3.getPermissions.returns({3: false});
-              test(req, function (allow) {
+              test({}, function (err, allow) {
                 expect(allow).to.be.false;
                 done();
               });
@@ -131,25 +208,25 @@ describe('has()', function () {
       p1.getPermissions.returns({1: true});
       p2.getPermissions.returns({2: true});
       p3.getPermissions.returns({3: true});
-      test(req, function (allow) {
+      test({}, function (err, allow) {
         expect(allow).to.be.true;
 
         p1.getPermissions.returns({1: false});
         p2.getPermissions.returns({2: true});
         p3.getPermissions.returns({3: true});
-        test(req, function (allow) {
+        test({}, function (err, allow) {
           expect(allow).to.be.false;
 
           p1.getPermissions.returns({1: true});
           p2.getPermissions.returns({2: true});
           p3.getPermissions.returns({3: false});
-          test(req, function (allow) {
+          test({}, function (err, allow) {
             expect(allow).to.be.false;
 
             p1.getPermissions.returns({1: false});
             p2.getPermissions.returns({2: false});
             p3.getPermissions.returns({3: false});
-            test(req, function (allow) {
+            test({}, function (err, allow) {
               expect(allow).to.be.false;
               done();
             });
@@ -167,6 +244,7 @@ describe('all()', function () {
 
   before(clearPermissionCodes);
   afterEach(clearPermissionCodes);
+  beforeEach(createRequest);
 
   it('is accessible', function () {
     expect(all).to.be.defined;
@@ -190,25 +268,25 @@ describe('all()', function () {
     p1.getPermissions.returns({1: true});
     p2.getPermissions.returns({2: true});
     p3.getPermissions.returns({3: true});
-    test(req, function (allow) {
+    test({}, function (err, allow) {
       expect(allow).to.be.true;
 
       p1.getPermissions.returns({1: false});
       p2.getPermissions.returns({2: true});
       p3.getPermissions.returns({3: true});
-      test(req, function (allow) {
+      test({}, function (err, allow) {
         expect(allow).to.be.false;
 
         p1.getPermissions.returns({1: true});
         p2.getPermissions.returns({2: true});
         p3.getPermissions.returns({3: false});
-        test(req, function (allow) {
+        test({}, function (err, allow) {
           expect(allow).to.be.false;
 
           p1.getPermissions.returns({1: false});
           p2.getPermissions.returns({2: false});
           p3.getPermissions.returns({3: false});
-          test(req, function (allow) {
+          test({}, function (err, allow) {
             expect(allow).to.be.false;
             done();
           });
@@ -245,7 +323,7 @@ describe('all()', function () {
       permission2.getPermissions.returns({2: true});
       permission3.getPermissions.returns({3: true});
 
-      test(req, function (allow) {
+      test(req, function (err, allow) {
         expect(allow).to.be.true;
         done();
       });
@@ -256,37 +334,37 @@ describe('all()', function () {
         permission1.getPermissions.returns({1: false});
         permission2.getPermissions.returns({2: true});
         permission3.getPermissions.returns({3: true});
-        test(req, function (allow) {
+        test(req, function (err, allow) {
           expect(allow).to.be.false;
 
           permission1.getPermissions.returns({1: true});
           permission2.getPermissions.returns({2: false});
           permission3.getPermissions.returns({3: true});
-          test(req, function (allow) {
+          test(req, function (err, allow) {
             expect(allow).to.be.false;
 
             permission1.getPermissions.returns({1: true});
             permission2.getPermissions.returns({2: true});
             permission3.getPermissions.returns({3: false});
-            test(req, function (allow) {
+            test(req, function (err, allow) {
               expect(allow).to.be.false;
 
               permission1.getPermissions.returns({1: false});
               permission2.getPermissions.returns({2: false});
               permission3.getPermissions.returns({3: true});
-              test(req, function (allow) {
+              test(req, function (err, allow) {
                 expect(allow).to.be.false;
 
                 permission1.getPermissions.returns({1: false});
                 permission2.getPermissions.returns({2: true});
                 permission3.getPermissions.returns({3: false});
-                test(req, function (allow) {
+                test(req, function (err, allow) {
                   expect(allow).to.be.false;
 
                   permission1.getPermissions.returns({1: true});
                   permission2.getPermissions.returns({2: false});
                   permission3.getPermissions.returns({3: false});
-                  test(req, function (allow) {
+                  test(req, function (err, allow) {
                     expect(allow).to.be.false;
                     done();
                   });
@@ -302,11 +380,124 @@ describe('all()', function () {
       permission1.getPermissions.returns({1: false});
       permission2.getPermissions.returns({2: false});
       permission3.getPermissions.returns({3: false});
-      test(req, function (allow) {
+      test(req, function (err, allow) {
         expect(allow).to.be.false;
         done();
       });
     });
+
+    it('passes on errors from the tested permissions', function (done) {
+      var error = new Error('lookup failed');
+      permission1.getPermissions.returns({1: true});
+      permission2.getPermissions.throws(error);
+      permission3.getPermissions.returns({3: true});
+      test(req, function (err) {
+        expect(err).to.equal(error);
+        done();
+      });
+    });
+
+    it('returns a promise if no callback is given', function () {
+      permission1.getPermissions.returns({1: true});
+      permission2.getPermissions.returns({2: false});
+      permission3.getPermissions.returns({3: true});
+      return test(req).then(function (allow) {
+        expect(allow).to.be.false;
+      });
+    });
+
+    it('rejects the promise on errors', function () {
+      var error = new Error('lookup failed');
+      permission1.getPermissions.throws(error);
+      permission2.getPermissions.returns({2: false});
+      permission3.getPermissions.returns({3: false});
+      return test(req).then(function () {
+        throw(new Error('Expected the promise to be rejected'));
+      }, function (err) {
+        expect(err).to.equal(error);
+      });
+    });
+
+    it('accepts promise-returning test functions', function () {
+      var test = all(function () {
+        return Promise.resolve(true);
+      }, function () {
+        return Promise.resolve(false);
+      });
+
+      return test(req).then(function (allow) {
+        expect(allow).to.be.false;
+      });
+    });
+
+    it('passes on errors thrown by test functions', function (done) {
+      var error = new Error('test failed');
+      var test = all(function () {
+        throw error;
+      });
+
+      test(req, function (err) {
+        expect(err).to.equal(error);
+        done();
+      });
+    });
+  });
+  describe('evaluated in series', function () {
+    it('stops at the first denied permission', function () {
+      var first = sinon.stub().returns(false);
+      var second = sinon.stub().returns(true);
+      var test = all(first, second, {order: 'series'});
+
+      return test(req).then(function (allow) {
+        expect(allow).to.be.false;
+        expect(first.calledOnce).to.be.true;
+        expect(second.called).to.be.false;
+      });
+    });
+
+    it('runs every test if all of them are granted', function () {
+      var calls = [];
+      var test = all(function first() {
+        calls.push('first');
+        return Promise.resolve(true);
+      }, function second() {
+        calls.push('second');
+        return true;
+      }, {order: 'series'});
+
+      return test(req).then(function (allow) {
+        expect(allow).to.be.true;
+        expect(calls).to.deep.equal(['first', 'second']);
+      });
+    });
+
+    it('runs nested composites by their cost', function () {
+      var calls = [];
+
+      function remote() { calls.push('remote'); return false; }
+      function local() { calls.push('local'); return false; }
+
+      remote.cost = 10;
+
+      return all([remote], [local], {order: 'cost'})(req)
+        .then(function (allow) {
+          expect(allow).to.be.false;
+          expect(calls).to.deep.equal(['local']);
+        });
+    });
+  });
+  describe('timeout', function () {
+    it('applies to the whole evaluation', function (done) {
+      function slow(req, done) {
+        setTimeout(function () { done(null, true); }, 8);
+      }
+
+      all(slow, slow, {order: 'series', timeout: 10})(req, function (err) {
+        expect(err.code).to.equal('ETIMEDOUT');
+        expect(err.message).to.contain('all composite');
+        done();
+      });
+    });
   });
 });
 
@@ -317,6 +508,7 @@ describe('any()', function () {
 
   before(clearPermissionCodes);
   afterEach(clearPermissionCodes);
+  beforeEach(createRequest);
 
   it('is accessible', function () {
     expect(any).to.be.defined;
@@ -341,43 +533,43 @@ describe('any()', function () {
       permission1.getPermissions.returns({1: true});
       permission2.getPermissions.returns({2: true});
       permission3.getPermissions.returns({3: true});
-      test(req, function (allow) {
+      test(req, function (err, allow) {
         expect(allow).to.be.true;
 
         permission1.getPermissions.returns({1: false});
         permission2.getPermissions.returns({2: true});
         permission3.getPermissions.returns({3: true});
-        test(req, function (allow) {
+        test(req, function (err, allow) {
           expect(allow).to.be.true;
 
           permission1.getPermissions.returns({1: true});
           permission2.getPermissions.returns({2: false});
           permission3.getPermissions.returns({3: true});
-          test(req, function (allow) {
+          test(req, function (err, allow) {
             expect(allow).to.be.true;
 
             permission1.getPermissions.returns({1: true});
             permission2.getPermissions.returns({2: true});
             permission3.getPermissions.returns({3: false});
-            test(req, function (allow) {
+            test(req, function (err, allow) {
               expect(allow).to.be.true;
 
               permission1.getPermissions.returns({1: false});
               permission2.getPermissions.returns({2: false});
               permission3.getPermissions.returns({3: true});
-              test(req, function (allow) {
+              test(req, function (err, allow) {
                 expect(allow).to.be.true;
 
                 permission1.getPermissions.returns({1: false});
                 permission2.getPermissions.returns({2: true});
                 permission3.getPermissions.returns({3: false});
-                test(req, function (allow) {
+                test(req, function (err, allow) {
                   expect(allow).to.be.true;
 
                   permission1.getPermissions.returns({1: true});
                   permission2.getPermissions.returns({2: false});
                   permission3.getPermissions.returns({3: false});
-                  test(req, function (allow) {
+                  test(req, function (err, allow) {
                     expect(allow).to.be.true;
                     done();
                   });
@@ -404,13 +596,13 @@ describe('any()', function () {
       permission1.getPermissions.returns({1: true});
       permission2.getPermissions.returns({2: true});
       permission3.getPermissions.returns({3: true});
-      test(req, function (allow) {
+      test({}, function (err, allow) {
         expect(allow).to.be.true;
 
         permission1.getPermissions.returns({1: false});
         permission2.getPermissions.returns({2: false});
         permission3.getPermissions.returns({3: true});
-        test(req, function (allow) {
+        test({}, function (err, allow) {
           expect(allow).to.be.true;
 
           // The array is treated as an ALL permission, therefore,
@@ -418,19 +610,19 @@ describe('any()', function () {
           permission1.getPermissions.returns({1: false});
           permission2.getPermissions.returns({2: true});
           permission3.getPermissions.returns({3: false});
-          test(req, function (allow) {
+          test({}, function (err, allow) {
             expect(allow).to.be.false;
 
             permission1.getPermissions.returns({1: true});
             permission2.getPermissions.returns({2: false});
             permission3.getPermissions.returns({3: false});
-            test(req, function (allow) {
+            test({}, function (err, allow) {
               expect(allow).to.be.false;
 
               permission1.getPermissions.returns({1: true});
               permission2.getPermissions.returns({2: true});
               permission3.getPermissions.returns({3: false});
-              test(req, function (allow) {
+              test({}, function (err, allow) {
                 expect(allow).to.be.true;
                 done();
               });
@@ -466,7 +658,7 @@ describe('any()', function () {
       permission1.getPermissions.returns({1: true});
       permission2.getPermissions.returns({2: true});
       permission3.getPermissions.returns({3: true});
-      test(req, function (allow) {
+      test(req, function (err, allow) {
         expect(allow).to.be.true;
         done();
       });
@@ -476,37 +668,37 @@ describe('any()', function () {
       permission1.getPermissions.returns({1: false});
       permission2.getPermissions.returns({2: true});
       permission3.getPermissions.returns({3: true});
-      test(req, function (allow) {
+      test(req, function (err, allow) {
         expect(allow).to.be.true;
 
         permission1.getPermissions.returns({1: false});
         permission2.getPermissions.returns({2: false});
         permission3.getPermissions.returns({3: true});
-        test(req, function (allow) {
+        test(req, function (err, allow) {
           expect(allow).to.be.true;
 
           permission1.getPermissions.returns({1: false});
           permission2.getPermissions.returns({2: true});
           permission3.getPermissions.returns({3: false});
-          test(req, function (allow) {
+          test(req, function (err, allow) {
             expect(allow).to.be.true;
 
             permission1.getPermissions.returns({1: true});
             permission2.getPermissions.returns({2: false});
             permission3.getPermissions.returns({3: true});
-            test(req, function (allow) {
+            test(req, function (err, allow) {
               expect(allow).to.be.true;
 
               permission1.getPermissions.returns({1: true});
               permission2.getPermissions.returns({2: false});
               permission3.getPermissions.returns({3: false});
-              test(req, function (allow) {
+              test(req, function (err, allow) {
                 expect(allow).to.be.true;
 
                 permission1.getPermissions.returns({1: true});
                 permission2.getPermissions.returns({2: true});
                 permission3.getPermissions.returns({3: false});
-                test(req, function (allow) {
+                test(req, function (err, allow) {
                   expect(allow).to.be.true;
                   done();
                 });
@@ -521,10 +713,865 @@ describe('any()', function () {
       permission1.getPermissions.returns({1: false});
       permission2.getPermissions.returns({2: false});
       permission3.getPermissions.returns({3: false});
-      test(req, function (allow) {
+      test(req, function (err, allow) {
+        expect(allow).to.be.false;
+        done();
+      });
+    });
+
+    it('passes on errors from the tested permissions', function (done) {
+      var error = new Error('lookup failed');
+      permission1.getPermissions.returns({1: false});
+      permission2.getPermissions.throws(error);
+      permission3.getPermissions.returns({3: true});
+      test(req, function (err) {
+        expect(err).to.equal(error);
+        done();
+      });
+    });
+
+    it('returns a promise if no callback is given', function () {
+      permission1.getPermissions.returns({1: true});
+      permission2.getPermissions.returns({2: false});
+      permission3.getPermissions.returns({3: true});
+      return test(req).then(function (allow) {
+        expect(allow).to.be.true;
+      });
+    });
+
+    it('rejects the promise on errors', function () {
+      var error = new Error('lookup failed');
+      permission1.getPermissions.throws(error);
+      permission2.getPermissions.returns({2: false});
+      permission3.getPermissions.returns({3: false});
+      return test(req).then(function () {
+        throw(new Error('Expected the promise to be rejected'));
+      }, function (err) {
+        expect(err).to.equal(error);
+      });
+    });
+
+    it('accepts promise-returning test functions', function () {
+      var test = any(function () {
+        return Promise.resolve(true);
+      }, function () {
+        return Promise.resolve(false);
+      });
+
+      return test(req).then(function (allow) {
+        expect(allow).to.be.true;
+      });
+    });
+
+    it('passes on errors thrown by test functions', function (done) {
+      var error = new Error('test failed');
+      var test = any(function () {
+        throw error;
+      });
+
+      test(req, function (err) {
+        expect(err).to.equal(error);
+        done();
+      });
+    });
+  });
+  describe('evaluated in series', function () {
+    it('runs the tests in the given order', function () {
+      var calls = [];
+      var test = any(function first() {
+        calls.push('first');
+        return Promise.resolve(false);
+      }, function second() {
+        calls.push('second');
+        return false;
+      }, {order: 'series'});
+
+      return test(req).then(function (allow) {
         expect(allow).to.be.false;
+        expect(calls).to.deep.equal(['first', 'second']);
+      });
+    });
+
+    it('stops at the first granted permission', function () {
+      var cheap = sinon.stub().returns(true);
+      var expensive = sinon.stub().returns(false);
+      var test = any(cheap, expensive, {order: 'series'});
+
+      return test(req).then(function (allow) {
+        expect(allow).to.be.true;
+        expect(cheap.calledOnce).to.be.true;
+        expect(expensive.called).to.be.false;
+      });
+    });
+
+    it('runs the cheapest tests first with the cost order', function () {
+      var calls = [];
+      var remote = new Permission(1, false, null, {cost: 10});
+      var local = new Permission(2, false, null, {cost: 1});
+
+      sinon.stub(remote, 'getPermissions', function () {
+        calls.push(1);
+        return {1: true};
+      });
+      sinon.stub(local, 'getPermissions', function () {
+        calls.push(2);
+        return {2: true};
+      });
+
+      return any(remote, local, {order: 'cost'})(req).then(function (allow) {
+        expect(allow).to.be.true;
+        expect(calls).to.deep.equal([2]);
+      });
+    });
+
+    it('keeps the given order for tests with the same cost', function () {
+      var calls = [];
+
+      function first() { calls.push('first'); return false; }
+      function second() { calls.push('second'); return false; }
+      function third() { calls.push('third'); return false; }
+
+      third.cost = -1;
+
+      return any(first, second, third, {order: 'cost'})(req)
+        .then(function () {
+          expect(calls).to.deep.equal(['third', 'first', 'second']);
+        });
+    });
+
+    it('passes on errors, skipping the remaining tests', function (done) {
+      var error = new Error('lookup failed');
+      var next = sinon.stub().returns(true);
+      var test = any(function () {
+        throw error;
+      }, next, {order: 'series'});
+
+      test(req, function (err) {
+        expect(err).to.equal(error);
+        expect(next.called).to.be.false;
         done();
       });
     });
+
+    it('explains only the evaluated tests', function () {
+      var test = any(function cheap() {
+        return true;
+      }, function expensive() {
+        return true;
+      }, {order: 'series'});
+
+      return test.explain(req).then(function (decision) {
+        expect(decision).to.deep.equal({
+          type: 'any',
+          allowed: true,
+          children: [{type: 'function', name: 'cheap', allowed: true}]
+        });
+      });
+    });
+
+    it('accepts an array of permissions and options', function () {
+      var second = sinon.stub().returns(true);
+      var test = any([function () { return true; }, second],
+        {order: 'series'});
+
+      return test(req).then(function (allow) {
+        expect(allow).to.be.true;
+        expect(second.called).to.be.false;
+      });
+    });
+
+    it('throws an error if the order is invalid', function () {
+      function anyInvalidOrder() {
+        return any(function () { return true; }, {order: 'random'});
+      }
+
+      expect(anyInvalidOrder).to.throw('Invalid order: random');
+    });
   });
-});
\ No newline at end of file
+
+  describe('cost', function () {
+    it('is the sum of the costs of its tests', function () {
+      function local() { return true; }
+      function remote() { return true; }
+
+      remote.cost = 10;
+
+      expect(any(local, remote, new Permission(1, false, null, {cost: 2})).cost)
+        .to.equal(12);
+    });
+
+    it('may be set with the cost option', function () {
+      function remote() { return true; }
+
+      remote.cost = 10;
+
+      expect(any(remote, {cost: 1}).cost).to.equal(1);
+    });
+  });
+  describe('timeout', function () {
+    // Never calls back
+    function hang(req, done) {
+      /* jshint unused:false */
+    }
+
+    afterEach(function () {
+      Permission.prototype.timeout = 0;
+    });
+
+    it('passes on a timeout error by default', function (done) {
+      any(hang, {timeout: 10})(req, function (err) {
+        expect(err.code).to.equal('ETIMEDOUT');
+        expect(err.message).to.contain('any composite');
+        done();
+      });
+    });
+
+    it('denies the request if set to fail closed', function () {
+      var test = any(function granted() { return false; }, hang,
+        {timeout: 10, onTimeout: 'deny'});
+
+      return test.explain(req).then(function (decision) {
+        expect(decision).to.deep.equal({
+          type: 'any',
+          timedOut: true,
+          allowed: false,
+          children: [{type: 'function', name: 'granted', allowed: false}]
+        });
+      });
+    });
+
+    it('does not start pending tests after timing out', function (done) {
+      var next = sinon.stub().returns(true);
+      var test = any(function (req, done) {
+        setTimeout(function () { done(null, false); }, 20);
+      }, next, {order: 'series', timeout: 10});
+
+      test(req, function (err) {
+        expect(err.code).to.equal('ETIMEDOUT');
+
+        setTimeout(function () {
+          expect(next.called).to.be.false;
+          done();
+        }, 20);
+      });
+    });
+
+    it('defaults to the timeout of permissions', function (done) {
+      Permission.prototype.timeout = 10;
+
+      any(hang)(req, function (err) {
+        expect(err.code).to.equal('ETIMEDOUT');
+        done();
+      });
+    });
+
+    it('throws an error if the timeout is invalid', function () {
+      function anyInvalidTimeout() {
+        return any(hang, {timeout: 'soon'});
+      }
+
+      expect(anyInvalidTimeout).to.throw('Invalid timeout: soon');
+    });
+
+    it('throws an error if the timeout behaviour is invalid', function () {
+      function anyInvalidBehaviour() {
+        return any(hang, {onTimeout: 'allow'});
+      }
+
+      expect(anyInvalidBehaviour).to.throw('Invalid timeout behaviour: allow');
+    });
+  });
+});
+
+
+describe('not()', function () {
+  var not = require('./helper').not;
+
+  var permission1;
+  var permission2;
+
+  before(clearPermissionCodes);
+  afterEach(clearPermissionCodes);
+  beforeEach(createRequest);
+
+  beforeEach(function () {
+    permission1 = new Permission(1);
+    permission2 = new Permission(2);
+
+    sinon.stub(permission1, 'getPermissions');
+    sinon.stub(permission2, 'getPermissions');
+  });
+
+  it('is a function', function () {
+    expect(not).to.be.a('function');
+  });
+
+  it('throws an error if an invalid permission is passed', function () {
+    function notInvalidPermission() {
+      return not('foo');
+    }
+
+    expect(notInvalidPermission).to.throw('Invalid permission');
+  });
+
+  it('negates the result of the permission', function (done) {
+    var test = not(permission1);
+
+    permission1.getPermissions.returns({1: true});
+    test({}, function (err, allow) {
+      expect(allow).to.be.false;
+
+      permission1.getPermissions.returns({1: false});
+      test({}, function (err, allow) {
+        expect(allow).to.be.true;
+        done();
+      });
+    });
+  });
+
+  it('negates ALL the permissions if multiple are given', function (done) {
+    var test = not(permission1, permission2);
+
+    permission1.getPermissions.returns({1: true});
+    permission2.getPermissions.returns({2: true});
+    test({}, function (err, allow) {
+      expect(allow).to.be.false;
+
+      permission1.getPermissions.returns({1: true});
+      permission2.getPermissions.returns({2: false});
+      test({}, function (err, allow) {
+        expect(allow).to.be.true;
+        done();
+      });
+    });
+  });
+
+  it('works with test functions', function () {
+    var test = not(function () {
+      return Promise.resolve(false);
+    });
+
+    return test(req).then(function (allow) {
+      expect(allow).to.be.true;
+    });
+  });
+
+  it('does not negate errors', function (done) {
+    var error = new Error('lookup failed');
+    var test = not(permission1);
+
+    permission1.getPermissions.throws(error);
+    test(req, function (err, allow) {
+      expect(err).to.equal(error);
+      expect(allow).to.not.be.ok;
+      done();
+    });
+  });
+});
+
+
+
+describe('none()', function () {
+  var none = require('./helper').none;
+
+  var permission1;
+  var permission2;
+  var permission3;
+
+  before(clearPermissionCodes);
+  afterEach(clearPermissionCodes);
+  beforeEach(createRequest);
+
+  beforeEach(function () {
+    permission1 = new Permission(1);
+    permission2 = new Permission(2);
+    permission3 = new Permission(3);
+
+    sinon.stub(permission1, 'getPermissions');
+    sinon.stub(permission2, 'getPermissions');
+    sinon.stub(permission3, 'getPermissions');
+  });
+
+  it('is a function', function () {
+    expect(none).to.be.a('function');
+  });
+
+  it('returns true if none of the permissions is granted', function (done) {
+    var test = none(permission1, permission2, permission3);
+
+    permission1.getPermissions.returns({1: false});
+    permission2.getPermissions.returns({2: false});
+    permission3.getPermissions.returns({3: false});
+    test(req, function (err, allow) {
+      expect(allow).to.be.true;
+      done();
+    });
+  });
+
+  it('returns false if any of the permissions is granted', function (done) {
+    var test = none([permission1, permission2, permission3]);
+
+    permission1.getPermissions.returns({1: false});
+    permission2.getPermissions.returns({2: true});
+    permission3.getPermissions.returns({3: false});
+    test(req, function (err, allow) {
+      expect(allow).to.be.false;
+      done();
+    });
+  });
+
+  it('treats arrays as ALL calls if more than one argument is given',
+    function (done) {
+      var test = none([permission1, permission2], permission3);
+
+      permission1.getPermissions.returns({1: true});
+      permission2.getPermissions.returns({2: false});
+      permission3.getPermissions.returns({3: false});
+      test({}, function (err, allow) {
+        expect(allow).to.be.true;
+
+        permission2.getPermissions.returns({2: true});
+        test({}, function (err, allow) {
+          expect(allow).to.be.false;
+          done();
+        });
+      });
+    });
+});
+
+
+
+describe('atLeast()', function () {
+  var atLeast = require('./helper').atLeast;
+
+  var permission1;
+  var permission2;
+  var permission3;
+
+  before(clearPermissionCodes);
+  afterEach(clearPermissionCodes);
+  beforeEach(createRequest);
+
+  beforeEach(function () {
+    permission1 = new Permission(1);
+    permission2 = new Permission(2);
+    permission3 = new Permission(3);
+
+    sinon.stub(permission1, 'getPermissions');
+    sinon.stub(permission2, 'getPermissions');
+    sinon.stub(permission3, 'getPermissions');
+  });
+
+  it('is a function', function () {
+    expect(atLeast).to.be.a('function');
+  });
+
+  it('throws an error if the threshold is invalid', function () {
+    function withoutThreshold() {
+      return atLeast(permission1, permission2);
+    }
+
+    function withNegativeThreshold() {
+      return atLeast(-1, permission1, permission2);
+    }
+
+    expect(withoutThreshold).to.throw('Invalid threshold');
+    expect(withNegativeThreshold).to.throw('Invalid threshold');
+  });
+
+  it('returns true if at least n permissions are granted', function (done) {
+    var test = atLeast(2, permission1, permission2, permission3);
+
+    permission1.getPermissions.returns({1: true});
+    permission2.getPermissions.returns({2: false});
+    permission3.getPermissions.returns({3: true});
+    test(req, function (err, allow) {
+      expect(allow).to.be.true;
+
+      permission2.getPermissions.returns({2: true});
+      test(req, function (err, allow) {
+        expect(allow).to.be.true;
+        done();
+      });
+    });
+  });
+
+  it('returns false if less than n permissions are granted',
+    function (done) {
+      var test = atLeast(2, [permission1, permission2, permission3]);
+
+      permission1.getPermissions.returns({1: false});
+      permission2.getPermissions.returns({2: false});
+      permission3.getPermissions.returns({3: true});
+      test(req, function (err, allow) {
+        expect(allow).to.be.false;
+        done();
+      });
+    });
+
+  it('treats nested arrays as ALL clauses', function (done) {
+    var test = atLeast(1, [permission1, permission2], permission3);
+
+    permission1.getPermissions.returns({1: true});
+    permission2.getPermissions.returns({2: false});
+    permission3.getPermissions.returns({3: false});
+    test({}, function (err, allow) {
+      expect(allow).to.be.false;
+
+      permission2.getPermissions.returns({2: true});
+      test({}, function (err, allow) {
+        expect(allow).to.be.true;
+        done();
+      });
+    });
+  });
+
+  it('returns true if the threshold is zero', function () {
+    return atLeast(0)(req).then(function (allow) {
+      expect(allow).to.be.true;
+    });
+  });
+
+  it('passes on errors from the tested permissions', function (done) {
+    var error = new Error('lookup failed');
+    var test = atLeast(2, permission1, permission2, permission3);
+
+    permission1.getPermissions.returns({1: true});
+    permission2.getPermissions.throws(error);
+    permission3.getPermissions.returns({3: true});
+    test(req, function (err) {
+      expect(err).to.equal(error);
+      done();
+    });
+  });
+});
+
+
+
+describe('explain()', function () {
+  var helper = require('./helper');
+  var explain = helper.explain;
+
+  var permission1;
+  var permission2;
+  var permission3;
+
+  before(clearPermissionCodes);
+  afterEach(clearPermissionCodes);
+  beforeEach(createRequest);
+
+  beforeEach(function () {
+    permission1 = new Permission(1);
+    permission2 = new Permission(2, true);
+    permission3 = new Permission(3);
+
+    sinon.stub(permission1, 'getPermissions');
+    sinon.stub(permission2, 'getPermissions');
+    sinon.stub(permission3, 'getPermissions');
+  });
+
+  it('is a function', function () {
+    expect(explain).to.be.a('function');
+  });
+
+  it('explains permission decisions', function (done) {
+    permission1.getPermissions.returns({1: true});
+
+    explain(permission1, req, function (err, decision) {
+      expect(err).to.not.exist;
+      expect(decision).to.deep.equal({
+        type: 'permission',
+        code: 1,
+        value: true,
+        defaultApplied: false,
+        allowed: true
+      });
+      done();
+    });
+  });
+
+  it('explains test function decisions', function (done) {
+    function isOwner() {
+      return false;
+    }
+
+    explain(isOwner, req, function (err, decision) {
+      expect(decision).to.deep.equal({
+        type: 'function',
+        name: 'isOwner',
+        allowed: false
+      });
+      done();
+    });
+  });
+
+  it('builds a tree out of composite permissions', function (done) {
+    var test = helper.all(
+      permission1,
+      helper.any(permission2, permission3)
+    );
+
+    permission1.getPermissions.returns({1: true});
+    permission2.getPermissions.returns({});
+    permission3.getPermissions.returns({3: false});
+
+    explain(test, req, function (err, decision) {
+      expect(decision.type).to.equal('all');
+      expect(decision.allowed).to.be.true;
+      expect(decision.children).to.have.length(2);
+      expect(decision.children[0].code).to.equal(1);
+      expect(decision.children[1].type).to.equal('any');
+      expect(decision.children[1].allowed).to.be.true;
+      expect(decision.children[1].children[0]).to.deep.equal({
+        type: 'permission',
+        code: 2,
+        value: undefined,
+        defaultApplied: true,
+        allowed: true
+      });
+      done();
+    });
+  });
+
+  it('shows which permission denied the request', function (done) {
+    var test = helper.all(permission1, permission2, permission3);
+
+    permission1.getPermissions.returns({1: true});
+    permission2.getPermissions.returns({2: true});
+    permission3.getPermissions.returns({});
+
+    explain(test, req, function (err, decision) {
+      expect(decision.allowed).to.be.false;
+      expect(decision.children[2]).to.deep.equal({
+        type: 'permission',
+        code: 3,
+        value: undefined,
+        defaultApplied: true,
+        allowed: false
+      });
+      done();
+    });
+  });
+
+  it('treats arrays as ALL clauses', function () {
+    permission1.getPermissions.returns({1: true});
+    permission2.getPermissions.returns({2: true});
+
+    return explain([permission1, permission2], req).then(function (decision) {
+      expect(decision.type).to.equal('all');
+      expect(decision.allowed).to.be.true;
+    });
+  });
+
+  it('describes atLeast() and not() composites', function () {
+    var test = helper.not(helper.atLeast(2, permission1, permission3));
+
+    permission1.getPermissions.returns({1: true});
+    permission3.getPermissions.returns({});
+
+    return explain(test, req).then(function (decision) {
+      expect(decision.type).to.equal('not');
+      expect(decision.allowed).to.be.true;
+      expect(decision.children[0].type).to.equal('atLeast');
+      expect(decision.children[0].threshold).to.equal(2);
+      expect(decision.children[0].allowed).to.be.false;
+    });
+  });
+
+  it('passes on errors', function (done) {
+    var error = new Error('lookup failed');
+    permission1.getPermissions.throws(error);
+
+    explain(helper.all(permission1), req, function (err) {
+      expect(err).to.equal(error);
+      done();
+    });
+  });
+});
+
+
+describe('filter()', function () {
+  var filter = require('./helper').filter;
+
+  var posts;
+  var readPost;
+  var user;
+
+  before(clearPermissionCodes);
+  afterEach(clearPermissionCodes);
+  beforeEach(createRequest);
+
+  beforeEach(function () {
+    user = {id: 1};
+    posts = [
+      {id: 1, owner: 1},
+      {id: 2, owner: 2},
+      {id: 3, owner: 1}
+    ];
+
+    readPost = new Permission(1, false, function (req) {
+      return req.post.owner === req.user.id;
+    });
+
+    sinon.stub(readPost, 'getPermissions').returns({1: true});
+  });
+
+  it('is a function', function () {
+    expect(filter).to.be.a('function');
+  });
+
+  it('keeps the allowed resources', function () {
+    return filter(readPost, {user: user}, posts, {as: 'post'})
+      .then(function (allowed) {
+        expect(allowed).to.deep.equal([posts[0], posts[2]]);
+      });
+  });
+
+  it('accepts a callback', function (done) {
+    var options = {as: 'post'};
+
+    filter(readPost, {user: user}, posts, options, function (err, allowed) {
+      expect(err).to.not.exist;
+      expect(allowed).to.deep.equal([posts[0], posts[2]]);
+      done();
+    });
+  });
+
+  it('exposes the resource as req.resource by default', function () {
+    var test = sinon.spy(function (req) {
+      return req.resource.id !== 2;
+    });
+
+    return filter(test, {user: user}, posts).then(function (allowed) {
+      expect(allowed).to.deep.equal([posts[0], posts[2]]);
+    });
+  });
+
+  it('tests requests inheriting from the given one', function () {
+    var req = {user: user};
+    var test = sinon.stub().returns(true);
+
+    return filter(test, req, posts).then(function () {
+      expect(test.callCount).to.equal(3);
+      test.args.forEach(function (args, index) {
+        expect(Object.getPrototypeOf(args[0])).to.equal(req);
+        expect(args[0].resource).to.equal(posts[index]);
+      });
+      expect(req).to.not.have.property('resource');
+    });
+  });
+
+  it('retrieves the permission sets of every resource', function () {
+    var PostPermission = Permission.create(function (req) {
+      return req.post.permissions[req.user.id];
+    });
+    var editPost = new PostPermission(2);
+
+    posts[0].permissions = {1: {2: true}};
+    posts[1].permissions = {1: {2: false}};
+    posts[2].permissions = {2: {2: true}};
+
+    return filter(editPost, {user: user}, posts, {as: 'post'})
+      .then(function (allowed) {
+        expect(allowed).to.deep.equal([posts[0]]);
+      });
+  });
+
+  describe('with the `shareSets` option', function () {
+    it('retrieves the permission set once', function () {
+      var options = {as: 'post', shareSets: true};
+
+      return filter(readPost, {user: user}, posts, options)
+        .then(function () {
+          expect(readPost.getPermissions).to.have.been.calledOnce;
+        });
+    });
+
+    it('retrieves the sets of every source once', function () {
+      var getter = sinon.stub().returns({2: true});
+      var Type = Permission.create({user: getter, groups: getter});
+
+      return filter(new Type(2), {user: user}, posts, {shareSets: true})
+        .then(function (allowed) {
+          expect(allowed).to.deep.equal(posts);
+          expect(getter).to.have.been.calledOnce;
+        });
+    });
+  });
+
+  it('uses the sets granted to requests built for tests', function () {
+    var testing = require('./testing');
+    var User = Permission.create(sinon.stub().returns({}));
+    var readPublicPost = new User('post:read', false, function (req) {
+      return req.post.public;
+    });
+    var req = testing.request({user: user})
+      .grant(User, {'post:read': true})
+      .build();
+    var posts = [{public: true}, {public: false}];
+
+    return filter(readPublicPost, req, posts, {as: 'post'})
+      .then(function (allowed) {
+        expect(allowed).to.deep.equal([posts[0]]);
+      });
+  });
+
+  it('keeps the order of the resources', function () {
+    var test = function (req, done) {
+      setTimeout(function () {
+        done(null, true);
+      }, 10 - req.resource.id);
+    };
+
+    return filter(test, {}, posts).then(function (allowed) {
+      expect(allowed).to.deep.equal(posts);
+    });
+  });
+
+  it('limits the number of resources tested at once', function () {
+    var running = 0;
+    var maxRunning = 0;
+    var test = function (req, done) {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+
+      setTimeout(function () {
+        running -= 1;
+        done(null, true);
+      }, 1);
+    };
+
+    return filter(test, {}, posts, {concurrency: 2}).then(function (allowed) {
+      expect(allowed).to.have.length(3);
+      expect(maxRunning).to.equal(2);
+    });
+  });
+
+  it('passes errors on', function () {
+    var err = new Error('Boom');
+
+    readPost.getPermissions.throws(err);
+
+    return filter(readPost, {user: user}, posts).then(function () {
+      throw(new Error('Should have failed'));
+    }, function (e) {
+      expect(e).to.equal(err);
+    });
+  });
+
+  it('returns an empty array for empty collections', function () {
+    return filter(readPost, {user: user}, []).then(function (allowed) {
+      expect(allowed).to.deep.equal([]);
+    });
+  });
+
+  it('throws an error for invalid arguments', function () {
+    expect(function () {
+      return filter(readPost, {}, null);
+    }).to.throw('Invalid resources: null');
+
+    expect(function () {
+      return filter(readPost, {}, posts, {concurrency: 0});
+    }).to.throw('Invalid concurrency: 0');
+  });
+});
@@ -0,0 +1,106 @@
+'use strict';
+/* jshint latedef:false */
+
+var STATUS_CODES = require('http').STATUS_CODES;
+var authorize = require('./authorize');
+
+var guard = authorize.withDefaults(function () {
+  return module.exports.defaults;
+});
+
+
+/**
+ * Middleware factory for Connect and plain Node `http` servers. Takes the
+ * same arguments as the Express middleware factory, but doesn't rely on
+ * Express' request and response extensions:
+ *
+ *    var guard = permission.http(READ_POST);
+ *
+ *    http.createServer(function (req, res) {
+ *      guard(req, res, function (err) {
+ *        if (err) { ... }
+ *        // Allowed: handle the request
+ *      });
+ *    });
+ *
+ * Just like with Express, errors are passed on to `next()`. Denied requests
+ * are handled according to the following options, which fall back to
+ * those in `permission.http.defaults`:
+ *
+ * - `status`: HTTP status sent when the request is denied (defaults to
+ *   `403`). May be a function receiving the request and returning the
+ *   status;
+ * - `body`: response body sent along with the status. Strings and buffers
+ *   are sent as they are, other values are sent as JSON. If not defined, the
+ *   status text is sent. May be a function receiving the request and
+ *   returning the body;
+ * - `onDenied`: a `function (req, res, next)` that handles denied requests.
+ *   If given, `status` and `body` are ignored;
+ * - `reportOnly`: if set, denied requests (and errors) are only reported
+ *   and `next()` is always called (see the Express middleware factory).
+ *
+ * @param {...Permission} permission Permission that will test the request.
+ * @param {Object=} options
+ *
+ * @returns {function(req, res, next)} A middleware that tests for the given
+ *  permission(s).
+ */
+module.exports = function () {
+  var check = guard.apply(null, arguments);
+
+  return function (req, res, next) {
+    check(req, function (err, allow) {
+      if (!allow && check.reportOnly(req, err)) { return next(); }
+      if (err) { return next(err); }
+      if (allow) { return next(); }
+      deny(req, res, next, check);
+    });
+  };
+};
+
+
+/**
+ * Handles a denied request according to the guard's options.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {function} next
+ * @param {function} check The guard's authorization function, used to read
+ *  its options.
+ * @private
+ */
+function deny(req, res, next, check) {
+  var onDenied = check.option('onDenied');
+  var status;
+  var body;
+  var type = 'text/plain; charset=utf-8';
+
+  if (onDenied) {
+    return onDenied(req, res, next);
+  }
+
+  status = check.option('status');
+  body = check.option('body');
+
+  if (typeof status === 'function') {
+    status = status(req);
+  }
+
+  if (typeof body === 'function') {
+    body = body(req);
+  }
+
+  if (body === undefined) {
+    body = STATUS_CODES[status] || String(status);
+  } else if (typeof body !== 'string' && !Buffer.isBuffer(body)) {
+    body = JSON.stringify(body);
+    type = 'application/json; charset=utf-8';
+  }
+
+  res.statusCode = status;
+  res.setHeader('Content-Type', type);
+  res.setHeader('Content-Length', Buffer.byteLength(body));
+  res.end(body);
+}
+
+
+authorize.defineDefaults(module.exports);
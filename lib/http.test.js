@@ -0,0 +1,139 @@
+'use strict';
+/* global describe:true, it:true */
+
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+var http = require('./http');
+var middleware = require('./middleware');
+var Permission = require('./permission');
+
+
+describe('http()', function () {
+  var p;
+  var req;
+  var res;
+  var next;
+
+  function clearPermissionCodes() {
+    Permission.registry.reset();
+  }
+
+  before(clearPermissionCodes);
+  afterEach(clearPermissionCodes);
+
+  beforeEach(function () {
+    req = {};
+    res = {
+      setHeader: sinon.spy(),
+      end: sinon.spy()
+    };
+    next = sinon.spy();
+
+    p = new Permission(0);
+    sinon.stub(p, 'getPermissions');
+  });
+
+
+  it('is a function', function () {
+    expect(http).to.be.a('function');
+  });
+
+  it('returns a middleware', function () {
+    var mid = http(p);
+    expect(mid).to.be.a('function');
+    expect(mid).to.have.length(3);
+  });
+
+  it('calls next() if the test passes', function () {
+    p.getPermissions.returns({0: true});
+    http(p)(req, res, next);
+    expect(next).to.have.been.calledOnce;
+    expect(next.firstCall.args).to.be.empty;
+    expect(res.end).to.not.have.been.called;
+  });
+
+  it('responds with 403 and the status text if the test fails', function () {
+    p.getPermissions.returns({0: false});
+    http(p)(req, res, next);
+    expect(next).to.not.have.been.called;
+    expect(res.statusCode).to.equal(403);
+    expect(res.setHeader)
+      .to.have.been.calledWith('Content-Type', 'text/plain; charset=utf-8');
+    expect(res.end).to.have.been.calledWith('Forbidden');
+  });
+
+  it('sends string bodies as they are', function () {
+    p.getPermissions.returns({0: false});
+    http(p, {status: 401, body: 'Log in first'})(req, res, next);
+    expect(res.statusCode).to.equal(401);
+    expect(res.setHeader).to.have.been.calledWith('Content-Length', 12);
+    expect(res.end).to.have.been.calledWith('Log in first');
+  });
+
+  it('sends other bodies as JSON', function () {
+    var body = sinon.stub().returns({title: 'Forbidden'});
+    p.getPermissions.returns({0: false});
+    http(p, {body: body})(req, res, next);
+    expect(body).to.have.been.calledWith(req);
+    expect(res.setHeader).to.have.been.calledWith('Content-Type',
+      'application/json; charset=utf-8');
+    expect(res.end).to.have.been.calledWith('{"title":"Forbidden"}');
+  });
+
+  it('calls the custom handler for denied requests', function () {
+    var onDenied = sinon.spy();
+    p.getPermissions.returns({0: false});
+    http(p, {onDenied: onDenied})(req, res, next);
+    expect(onDenied).to.have.been.calledWith(req, res, next);
+    expect(res.end).to.not.have.been.called;
+  });
+
+  it('calls next() for denied requests in report-only mode', function () {
+    p.getPermissions.returns({0: false});
+    http(p, {reportOnly: true})(req, res, next);
+    expect(next).to.have.been.calledOnce;
+    expect(next.firstCall.args).to.be.empty;
+    expect(res.end).to.not.have.been.called;
+  });
+
+  it('passes errors to next()', function () {
+    var error = new Error('lookup failed');
+    p.getPermissions.throws(error);
+    http(p)(req, res, next);
+    expect(next).to.have.been.calledWith(error);
+    expect(res.end).to.not.have.been.called;
+  });
+
+  describe('defaults', function () {
+    var originalDefaults;
+    var originalExpressDefaults;
+
+    beforeEach(function () {
+      originalDefaults = http.defaults;
+      originalExpressDefaults = middleware.defaults;
+      p.getPermissions.returns({0: false});
+    });
+
+    afterEach(function () {
+      http.defaults = originalDefaults;
+      middleware.defaults = originalExpressDefaults;
+    });
+
+    it('are used for the options not given', function () {
+      http.defaults = {body: 'Denied'};
+      http(p)(req, res, next);
+      expect(res.statusCode).to.equal(403);
+      expect(res.end).to.have.been.calledWith('Denied');
+    });
+
+    it('are not shared with the Express middleware', function () {
+      middleware.defaults = {status: 401, body: 'Denied'};
+      http(p)(req, res, next);
+      expect(res.statusCode).to.equal(403);
+      expect(res.end).to.have.been.calledWith('Forbidden');
+      expect(http.defaults).to.not.equal(middleware.defaults);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+'use strict';
+/* jshint latedef:false */
+
+var authorize = require('./authorize');
+
+var guard = authorize.withDefaults(function () {
+  return module.exports.defaults;
+});
+
+
+/**
+ * Koa middleware factory for checking for a given set of permissions. Takes
+ * the same arguments as the Express middleware factory:
+ *
+ *    router.get('/post/:slug', permission.koa(READ_POST), getPost);
+ *
+ * The Koa context is passed to the permission getters and tests in place of
+ * the request object, so they should look for the agents' data where the
+ * application stores it (usually `ctx.state`).
+ *
+ * Errors are thrown (i.e. the returned promise is rejected), so they can be
+ * handled by the application's error handling middleware. Denied requests
+ * are handled according to the following options, which fall back to
+ * those in `permission.koa.defaults`:
+ *
+ * - `status`: HTTP status set when the request is denied (defaults to
+ *   `403`). May be a function receiving the context and returning the
+ *   status;
+ * - `body`: response body set along with the status. May be a function
+ *   receiving the context and returning the body;
+ * - `onDenied`: a `function (ctx, next)` that handles denied requests. If
+ *   given, `status` and `body` are ignored;
+ * - `reportOnly`: if set, denied requests (and errors) are only reported
+ *   and `next()` is always called (see the Express middleware factory).
+ *
+ * @param {...Permission} permission Permission that will test the request.
+ * @param {Object=} options
+ *
+ * @returns {function(ctx, next): Promise} A Koa middleware that tests for the
+ *  given permission(s).
+ */
+module.exports = function () {
+  var check = guard.apply(null, arguments);
+
+  return function (ctx, next) {
+    return check(ctx).then(function (allow) {
+      if (allow || check.reportOnly(ctx)) { return next(); }
+      return deny(ctx, next, check);
+    }, function (err) {
+      if (check.reportOnly(ctx, err)) { return next(); }
+      throw err;
+    });
+  };
+};
+
+
+/**
+ * Handles a denied request according to the guard's options.
+ * @param {Context} ctx
+ * @param {function} next
+ * @param {function} check The guard's authorization function, used to read
+ *  its options.
+ * @private
+ */
+function deny(ctx, next, check) {
+  var onDenied = check.option('onDenied');
+  var status;
+  var body;
+
+  if (onDenied) {
+    return onDenied(ctx, next);
+  }
+
+  status = check.option('status');
+  body = check.option('body');
+
+  ctx.status = typeof status === 'function' ? status(ctx) : status;
+
+  if (typeof body === 'function') {
+    body = body(ctx);
+  }
+
+  if (body !== undefined) {
+    ctx.body = body;
+  }
+}
+
+
+authorize.defineDefaults(module.exports);
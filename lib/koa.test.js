@@ -0,0 +1,169 @@
+'use strict';
+/* global describe:true, it:true */
+
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+var koa = require('./koa');
+var middleware = require('./middleware');
+var Permission = require('./permission');
+
+
+describe('koa()', function () {
+  var p;
+  var ctx;
+  var next;
+
+  function clearPermissionCodes() {
+    Permission.registry.reset();
+  }
+
+  before(clearPermissionCodes);
+  afterEach(clearPermissionCodes);
+
+  beforeEach(function () {
+    ctx = {state: {}};
+    next = sinon.stub().returns(Promise.resolve());
+
+    p = new Permission(0);
+    sinon.stub(p, 'getPermissions');
+  });
+
+
+  it('is a function', function () {
+    expect(koa).to.be.a('function');
+  });
+
+  it('returns a Koa middleware', function () {
+    var mid = koa(p);
+    expect(mid).to.be.a('function');
+    expect(mid).to.have.length(2);
+  });
+
+  it('passes the context to the permission getters', function () {
+    p.getPermissions.returns({0: true});
+
+    return koa(p)(ctx, next).then(function () {
+      expect(p.getPermissions).to.have.been.calledWith(ctx);
+    });
+  });
+
+  it('calls next() if the test passes', function () {
+    p.getPermissions.returns({0: true});
+
+    return koa(p)(ctx, next).then(function () {
+      expect(next).to.have.been.calledOnce;
+      expect(ctx.status).to.be.undefined;
+    });
+  });
+
+  it('sets the 403 status if the test fails', function () {
+    p.getPermissions.returns({0: false});
+
+    return koa(p)(ctx, next).then(function () {
+      expect(next).to.not.have.been.called;
+      expect(ctx.status).to.equal(403);
+      expect(ctx.body).to.be.undefined;
+    });
+  });
+
+  it('sets the given status and body', function () {
+    var mid = koa(p, {
+      status: function (ctx) {
+        return ctx.state.user ? 403 : 401;
+      },
+      body: {title: 'Unauthorized'}
+    });
+
+    p.getPermissions.returns({0: false});
+
+    return mid(ctx, next).then(function () {
+      expect(ctx.status).to.equal(401);
+      expect(ctx.body).to.deep.equal({title: 'Unauthorized'});
+    });
+  });
+
+  it('calls the custom handler for denied requests', function () {
+    var onDenied = sinon.stub().returns(Promise.resolve('handled'));
+
+    p.getPermissions.returns({0: false});
+
+    return koa(p, {onDenied: onDenied})(ctx, next).then(function (result) {
+      expect(onDenied).to.have.been.calledWith(ctx, next);
+      expect(result).to.equal('handled');
+      expect(ctx.status).to.be.undefined;
+    });
+  });
+
+  it('calls next() for denied requests in report-only mode', function () {
+    var reportOnly = sinon.spy();
+
+    p.getPermissions.returns({0: false});
+
+    return koa(p, {reportOnly: reportOnly})(ctx, next).then(function () {
+      expect(next).to.have.been.calledOnce;
+      expect(reportOnly).to.have.been.calledWith(ctx, null);
+      expect(ctx.status).to.be.undefined;
+    });
+  });
+
+  it('calls next() on errors in report-only mode', function () {
+    var error = new Error('lookup failed');
+    var reportOnly = sinon.spy();
+
+    p.getPermissions.throws(error);
+
+    return koa(p, {reportOnly: reportOnly})(ctx, next).then(function () {
+      expect(next).to.have.been.calledOnce;
+      expect(reportOnly).to.have.been.calledWith(ctx, error);
+    });
+  });
+
+  it('rejects on errors', function () {
+    var error = new Error('lookup failed');
+    p.getPermissions.throws(error);
+
+    return koa(p)(ctx, next).then(function () {
+      throw(new Error('Expected the promise to be rejected'));
+    }, function (err) {
+      expect(err).to.equal(error);
+      expect(next).to.not.have.been.called;
+    });
+  });
+
+  describe('defaults', function () {
+    var originalDefaults;
+    var originalExpressDefaults;
+
+    beforeEach(function () {
+      originalDefaults = koa.defaults;
+      originalExpressDefaults = middleware.defaults;
+      p.getPermissions.returns({0: false});
+    });
+
+    afterEach(function () {
+      koa.defaults = originalDefaults;
+      middleware.defaults = originalExpressDefaults;
+    });
+
+    it('are used for the options not given', function () {
+      koa.defaults = {body: 'Denied'};
+
+      return koa(p)(ctx, next).then(function () {
+        expect(ctx.status).to.equal(403);
+        expect(ctx.body).to.equal('Denied');
+      });
+    });
+
+    it('are not shared with the Express middleware', function () {
+      middleware.defaults = {status: 401, body: 'Denied'};
+
+      return koa(p)(ctx, next).then(function () {
+        expect(ctx.status).to.equal(403);
+        expect(ctx.body).to.be.undefined;
+        expect(koa.defaults).to.not.equal(middleware.defaults);
+      });
+    });
+  });
+});
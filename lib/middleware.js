@@ -1,8 +1,14 @@
 'use strict';
+/* jshint latedef:false */
 
 var Permission = require('./permission');
-var any = require('./helper').any;
-var has = require('./helper').has;
+var authorize = require('./authorize');
+
+var guard = authorize.withDefaults(function () {
+  return module.exports.defaults;
+});
+
+
 
 /**
  * Middleware factory for checking for a given set of permissions. If multiple
@@ -21,25 +27,92 @@ var has = require('./helper').has;
  *      woo
  *    );
  *
+ * If a test fails with an error (e.g. a permission set could not be
+ * retrieved or a test function threw), the error is passed on to `next()` so
+ * it can be handled by the application's error handlers instead of being
+ * reported as a denied request.
+ *
+ * How denied requests are handled may be configured by passing an options
+ * object as the last argument:
+ *
+ *    app.get('/foo', permission(FOO, {status: 404}), foo);
+ *
+ * Options not given fall back to those in `permission.defaults`, which only
+ * apply to the Express middleware (see also {@link authorize}):
+ *
+ * - `status`: HTTP status sent when the request is denied (defaults to
+ *   `403`). May be a function receiving the request and returning the status;
+ * - `body`: response body sent along with the status. If not defined, the
+ *   status text is sent (see `res.sendStatus()`). May be a function receiving
+ *   the request and returning the body;
+ * - `onDenied`: a `function (req, res, next)` that handles denied requests.
+ *   If given, `status` and `body` are ignored;
+ * - `trace`: if set, the decision tree explaining why the request was
+ *   allowed or denied (see {@link explain}) is stored in
+ *   `req.permissionDecision`. If it's a function, it's also called with the
+ *   decision and the request (e.g. for logging);
+ * - `reportOnly`: if set, the guard never blocks requests: denied requests
+ *   (and errors) are reported (see {@link events}), but `next()` is always
+ *   called. If it's a function, it's also called with the request and the
+ *   error, if any, for every would-be denial. Useful to try out new policies
+ *   before enforcing them.
+ *
  * @param {...Permission} permission Permission that will test the request.
+ * @param {Object=} options Options for handling denied requests.
  *
  * @returns {Function} A middleware that tests for the given permission(s).
  */
-module.exports = function (permission) {
-  if (!arguments.length) {
-    throw(new Error('Missing permissions'));
-  }
-
-  var test = arguments.length > 1 ?
-    any(Array.prototype.slice.call(arguments)) :
-    has(permission);
+module.exports = function () {
+  var check = guard.apply(null, arguments);
 
   return function (req, res, next) {
-    test(req, function (allow) {
+    check(req, function (err, allow) {
+      if (!allow && check.reportOnly(req, err)) { return next(); }
+      if (err) { return next(err); }
       if (allow) { return next(); }
-      res.sendStatus(403);
+      deny(req, res, next, check);
     });
   };
 };
 
-module.exports.create = Permission.create;
\ No newline at end of file
+
+/**
+ * Handles a denied request according to the guard's options.
+ * @param {Request} req
+ * @param {Response} res
+ * @param {function} next
+ * @param {function} check The guard's authorization function, used to read
+ *  its options.
+ * @private
+ */
+function deny(req, res, next, check) {
+  var onDenied = check.option('onDenied');
+  var status;
+  var body;
+
+  if (onDenied) {
+    return onDenied(req, res, next);
+  }
+
+  status = check.option('status');
+  body = check.option('body');
+
+  if (typeof status === 'function') {
+    status = status(req);
+  }
+
+  if (typeof body === 'function') {
+    body = body(req);
+  }
+
+  if (body === undefined) {
+    return res.sendStatus(status);
+  }
+
+  res.status(status).send(body);
+}
+
+
+module.exports.create = Permission.create;
+
+authorize.defineDefaults(module.exports);
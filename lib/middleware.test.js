@@ -13,19 +13,20 @@ describe('middleware', function () {
   var p;
   var p1, p2, p3;
   var next = sinon.stub();
-  var req = {};
+  var req;
   var res = {
     sendStatus: sinon.stub()
   };
 
   function clearPermissionCodes() {
-    Permission._codes = [];
+    Permission.registry.reset();
   }
 
   before(clearPermissionCodes);
   afterEach(clearPermissionCodes);
 
   beforeEach(function () {
+    req = {};
     p = new Permission(0);
     p1 = new Permission(1);
     p2 = new Permission(2);
@@ -79,34 +80,94 @@ describe('middleware', function () {
     done();
   });
 
+  it('waits for asynchronously retrieved permission sets', function (done) {
+    p.getPermissions.returns(Promise.resolve({0: true}));
+    var mid = middleware(p);
+    mid(req, res, done);
+  });
+
+  it('passes permission lookup errors to next()', function (done) {
+    var error = new Error('lookup failed');
+    p.getPermissions.returns(Promise.reject(error));
+    var mid = middleware(p);
+    mid(req, res, function (err) {
+      expect(err).to.equal(error);
+      expect(res.sendStatus).to.not.have.been.called;
+      done();
+    });
+  });
+
+  it('passes errors thrown by test functions to next()', function (done) {
+    var error = new Error('test failed');
+    var mid = middleware(function () {
+      throw error;
+    });
+
+    mid(req, res, function (err) {
+      expect(err).to.equal(error);
+      expect(res.sendStatus).to.not.have.been.called;
+      done();
+    });
+  });
+
+  it('passes errors from composite tests to next()', function (done) {
+    var error = new Error('lookup failed');
+    p1.getPermissions.returns({1: true});
+    p2.getPermissions.throws(error);
+    var mid = middleware(all(p1, p2));
+
+    mid(req, res, function (err) {
+      expect(err).to.equal(error);
+      expect(res.sendStatus).to.not.have.been.called;
+      done();
+    });
+  });
+
+  it('calls next() once if a test times out', function (done) {
+    var late;
+    var p4 = new Permission(4, true, function (req, done) {
+      late = done;
+    }, {timeout: 10});
+
+    sinon.stub(p4, 'getPermissions').returns({});
+    middleware(p4)(req, res, next);
+
+    setTimeout(function () {
+      late(null, true);
+      expect(next).to.have.been.calledOnce;
+      expect(next.firstCall.args[0].code).to.equal('ETIMEDOUT');
+      done();
+    }, 20);
+  });
+
   it('treats multiple permissions as an ANY clause', function () {
     var mid = middleware(p1, p2, p3);
 
     p1.getPermissions.returns({1: true});
     p2.getPermissions.returns({2: true});
     p3.getPermissions.returns({3: true});
-    mid(req, res, next);
+    mid({}, res, next);
     expect(next).to.have.been.calledOnce;
     next.reset();
 
     p1.getPermissions.returns({1: false});
     p2.getPermissions.returns({2: true});
     p3.getPermissions.returns({3: true});
-    mid(req, res, next);
+    mid({}, res, next);
     expect(next).to.have.been.calledOnce;
     next.reset();
 
     p1.getPermissions.returns({1: true});
     p2.getPermissions.returns({2: false});
     p3.getPermissions.returns({3: false});
-    mid(req, res, next);
+    mid({}, res, next);
     expect(next).to.have.been.calledOnce;
     next.reset();
 
     p1.getPermissions.returns({1: false});
     p2.getPermissions.returns({2: false});
     p3.getPermissions.returns({3: false});
-    mid(req, res, next);
+    mid({}, res, next);
     expect(next).to.not.have.been.called;
     next.reset();
   });
@@ -118,28 +179,28 @@ describe('middleware', function () {
     p1.getPermissions.returns({1: true});
     p2.getPermissions.returns({2: true});
     p3.getPermissions.returns({3: true});
-    mid(req, res, next);
+    mid({}, res, next);
     expect(next).to.have.been.calledOnce;
     next.reset();
 
     p1.getPermissions.returns({1: false});
     p2.getPermissions.returns({2: true});
     p3.getPermissions.returns({3: true});
-    mid(req, res, next);
+    mid({}, res, next);
     expect(next).to.not.have.been.called;
     next.reset();
 
     p1.getPermissions.returns({1: true});
     p2.getPermissions.returns({2: false});
     p3.getPermissions.returns({3: false});
-    mid(req, res, next);
+    mid({}, res, next);
     expect(next).to.not.have.been.called;
     next.reset();
 
     p1.getPermissions.returns({1: false});
     p2.getPermissions.returns({2: false});
     p3.getPermissions.returns({3: false});
-    mid(req, res, next);
+    mid({}, res, next);
     expect(next).to.not.have.been.called;
     next.reset();
   });
@@ -168,7 +229,7 @@ describe('middleware', function () {
     p1.getPermissions.returns({1: true});
     p2.getPermissions.returns({2: true});
     p3.getPermissions.returns({3: true});
-    mid(req, res, next);
+    mid({}, res, next);
     expect(next).to.have.been.calledOnce;
     next.reset();
 
@@ -179,7 +240,7 @@ describe('middleware', function () {
     p1.getPermissions.returns({1: true});
     p2.getPermissions.returns({2: false});
     p3.getPermissions.returns({3: false});
-    mid(req, res, next);
+    mid({}, res, next);
     expect(next).to.have.been.calledOnce;
     next.reset();
 
@@ -189,7 +250,7 @@ describe('middleware', function () {
     p1.getPermissions.returns({1: false});
     p2.getPermissions.returns({2: false});
     p3.getPermissions.returns({3: false});
-    mid(req, res, next);
+    mid({}, res, next);
     expect(next).to.not.have.been.called;
     next.reset();
 
@@ -198,7 +259,7 @@ describe('middleware', function () {
     p1.getPermissions.returns({1: true});
     p2.getPermissions.returns({2: true});
     p3.getPermissions.returns({3: true});
-    mid(req, res, next);
+    mid({}, res, next);
     expect(next).to.not.have.been.called;
     next.reset();
 
@@ -207,11 +268,196 @@ describe('middleware', function () {
     p1.getPermissions.returns({1: false});
     p2.getPermissions.returns({2: false});
     p3.getPermissions.returns({3: false});
-    mid(req, res, next);
+    mid({}, res, next);
     expect(next).to.not.have.been.called;
     next.reset();
   });
 
+  describe('options', function () {
+    var originalDefaults;
+
+    beforeEach(function () {
+      originalDefaults = middleware.defaults;
+      middleware.defaults = {status: 403};
+
+      res.status = sinon.stub().returns(res);
+      res.send = sinon.stub().returns(res);
+      p.getPermissions.returns({0: false});
+    });
+
+    afterEach(function () {
+      middleware.defaults = originalDefaults;
+      delete res.status;
+      delete res.send;
+    });
+
+    it('are accepted as the last argument', function () {
+      var mid = middleware(p, {status: 404});
+      expect(mid).to.be.a('function');
+    });
+
+    it('do not count as permissions', function () {
+      function withOptionsOnly() {
+        return middleware({status: 404});
+      }
+
+      expect(withOptionsOnly).to.throw('Missing permissions');
+    });
+
+    it('set the status sent for denied requests', function () {
+      var mid = middleware(p, {status: 404});
+      mid(req, res, next);
+      expect(res.sendStatus).to.have.been.calledWith(404);
+    });
+
+    it('accept a function that returns the status', function () {
+      var status = sinon.stub().returns(401);
+      var mid = middleware(p, {status: status});
+      mid(req, res, next);
+      expect(status).to.have.been.calledWith(req);
+      expect(res.sendStatus).to.have.been.calledWith(401);
+    });
+
+    it('set the body sent for denied requests', function () {
+      var body = {title: 'Forbidden'};
+      var mid = middleware(p, {body: body});
+      mid(req, res, next);
+      expect(res.sendStatus).to.not.have.been.called;
+      expect(res.status).to.have.been.calledWith(403);
+      expect(res.send).to.have.been.calledWith(body);
+    });
+
+    it('accept a function that returns the body', function () {
+      var body = sinon.stub().returns('denied');
+      var mid = middleware(p, {status: 401, body: body});
+      mid(req, res, next);
+      expect(body).to.have.been.calledWith(req);
+      expect(res.status).to.have.been.calledWith(401);
+      expect(res.send).to.have.been.calledWith('denied');
+    });
+
+    it('accept a custom handler for denied requests', function () {
+      var onDenied = sinon.spy();
+      var mid = middleware(p, {status: 404, onDenied: onDenied});
+      mid(req, res, next);
+      expect(onDenied).to.have.been.calledWith(req, res, next);
+      expect(res.sendStatus).to.not.have.been.called;
+      expect(next).to.not.have.been.called;
+    });
+
+    it('are not used for allowed requests', function () {
+      var onDenied = sinon.spy();
+      var mid = middleware(p, {onDenied: onDenied});
+      p.getPermissions.returns({0: true});
+      mid(req, res, next);
+      expect(onDenied).to.not.have.been.called;
+      expect(next).to.have.been.calledOnce;
+    });
+
+    it('store the decision in the request if tracing', function () {
+      var req = {};
+      var mid = middleware(p, {trace: true});
+      mid(req, res, next);
+      expect(req.permissionDecision).to.deep.equal({
+        type: 'permission',
+        code: 0,
+        value: false,
+        defaultApplied: false,
+        allowed: false
+      });
+      expect(res.sendStatus).to.have.been.calledWith(403);
+    });
+
+    it('pass the decision to the trace function', function () {
+      var req = {};
+      var trace = sinon.spy();
+      var mid = middleware(p, {trace: trace});
+      p.getPermissions.returns({0: true});
+      mid(req, res, next);
+      expect(trace).to.have.been.calledWith(req.permissionDecision, req);
+      expect(req.permissionDecision.allowed).to.be.true;
+      expect(next).to.have.been.calledOnce;
+    });
+
+    it('let denied requests through in report-only mode', function () {
+      var mid = middleware(p, {reportOnly: true});
+      mid(req, res, next);
+      expect(next).to.have.been.calledOnce;
+      expect(next.firstCall.args).to.be.empty;
+      expect(res.sendStatus).to.not.have.been.called;
+    });
+
+    it('report would-be denials to the reportOnly function', function () {
+      var reportOnly = sinon.spy();
+      var mid = middleware(p, {reportOnly: reportOnly});
+      mid(req, res, next);
+      expect(reportOnly).to.have.been.calledWith(req, null);
+      expect(next).to.have.been.calledOnce;
+    });
+
+    it('ignore errors in report-only mode', function () {
+      var error = new Error('lookup failed');
+      var reportOnly = sinon.spy();
+      var mid = middleware(p, {reportOnly: reportOnly});
+      p.getPermissions.throws(error);
+      mid(req, res, next);
+      expect(reportOnly).to.have.been.calledWith(req, error);
+      expect(next).to.have.been.calledOnce;
+      expect(next.firstCall.args).to.be.empty;
+    });
+
+    it('do not report allowed requests in report-only mode', function () {
+      var reportOnly = sinon.spy();
+      var mid = middleware(p, {reportOnly: reportOnly});
+      p.getPermissions.returns({0: true});
+      mid(req, res, next);
+      expect(reportOnly).to.not.have.been.called;
+      expect(next).to.have.been.calledOnce;
+    });
+
+    it('enable report-only mode globally through the defaults', function () {
+      var mid = middleware(p);
+      middleware.defaults.reportOnly = true;
+      mid(req, res, next);
+      expect(next).to.have.been.calledOnce;
+
+      next.reset();
+      middleware(p, {reportOnly: false})(req, res, next);
+      expect(next).to.not.have.been.called;
+      expect(res.sendStatus).to.have.been.calledWith(403);
+    });
+
+    it('fall back to the defaults', function () {
+      var mid = middleware(p);
+      middleware.defaults.status = 401;
+      mid(req, res, next);
+      expect(res.sendStatus).to.have.been.calledWith(401);
+    });
+
+    it('keep the built-in defaults not given when replaced', function () {
+      middleware.defaults = {body: 'Denied'};
+      middleware(p)(req, res, next);
+
+      expect(middleware.defaults.status).to.equal(403);
+      expect(res.status).to.have.been.calledWith(403);
+      expect(res.send).to.have.been.calledWith('Denied');
+    });
+
+    it('override the defaults', function () {
+      var mid = middleware(p, {status: 404});
+      middleware.defaults.onDenied = sinon.spy();
+      middleware.defaults.status = 401;
+      middleware(p, {onDenied: null})(req, res, next);
+      expect(middleware.defaults.onDenied).to.not.have.been.called;
+      expect(res.sendStatus).to.have.been.calledWith(401);
+
+      res.sendStatus.reset();
+      delete middleware.defaults.onDenied;
+      mid(req, res, next);
+      expect(res.sendStatus).to.have.been.calledWith(404);
+    });
+  });
+
   describe('.create()', function () {
     it('aliases Permission.create()', function () {
       expect(middleware.create).to.equal(Permission.create);
@@ -1,7 +1,58 @@
 'use strict';
+/* jshint latedef:false */
 
 
+var async = require('async');
+var compile = require('./condition').compile;
 var inherits = require('util').inherits;
+var get = require('./util').get;
+var invoke = require('./util').invoke;
+var promisify = require('./util').promisify;
+var timeout = require('./util').timeout;
+var timeoutError = require('./util').timeoutError;
+var Registry = require('./registry');
+var report = require('./events').report;
+
+
+/**
+ * Decisions cached per request, mapping each request to a `Map` of the
+ * evaluated permissions and their decisions.
+ * @type {WeakMap}
+ * @private
+ */
+var caches = new WeakMap();
+
+/**
+ * Lookups overriding the permission sets of requests (see
+ * {@link Permission.overrideSets}).
+ * @type {WeakMap}
+ * @private
+ */
+var overrides = new WeakMap();
+
+/**
+ * Requests scoped to a resource (see {@link Permission.scope}), mapping each
+ * of them to the request it was created from and the set lookups it shares
+ * with the other scoped requests created along with it.
+ * @type {WeakMap}
+ * @private
+ */
+var scopes = new WeakMap();
+
+/**
+ * Optional descriptive properties of permissions, copied from the
+ * constructor's options and listed in catalogs.
+ * @type {Array.<String>}
+ * @private
+ */
+var METADATA = ['name', 'description', 'category', 'agentType'];
+
+/**
+ * Properties of conditional grants (see {@link Permission.isActive}).
+ * @type {Array.<String>}
+ * @private
+ */
+var GRANT = ['granted', 'notBefore', 'expiresAt', 'constraints'];
 
 /**
  * Defines the `Permission` constructor used as a base for more specific
@@ -21,30 +72,50 @@ var inherits = require('util').inherits;
  * authorized to proceed.
  *
  * @param code {(String|Number)} Permission's code. Note that permission
- *  codes **must** be unique throughout the entire application.
+ *  codes **must** be unique within the permission type's registry (which,
+ *  by default, is shared by the entire application).
  * @param allowedByDefault {Boolean} Indicates if the permission is
  *  granted by default or not. This avoids the need to store and
  *  retrieve every single permission in/from a database.
- * @param test {function(req)} A function that tests the request and
- *  returns `true` if it passes and `false` if not.
+ * @param test {(function(req, function=)|Object)} A function that tests the
+ *  request and returns `true` if it passes and `false` if not. Asynchronous
+ *  tests may either return a promise for that result or accept a callback as
+ *  the second argument and call it with `(err, allowed)`. Tests that return
+ *  nothing are only considered asynchronous if they declare the callback
+ *  argument. May also be a declarative condition (see {@link condition}).
+ * @param options {Object=} Additional options:
+ *
+ *  - `cache`: set to `false` to evaluate the permission every time it's
+ *    tested, instead of once per request (see {@link Permission#cache}).
+ *  - `cost`: relative cost of evaluating the permission, used to order the
+ *    tests of composites evaluated in series (see {@link Permission#cost}).
+ *  - `timeout`: maximum time, in milliseconds, the evaluation may take (see
+ *    {@link Permission#timeout}).
+ *  - `onTimeout`: what to do when the evaluation times out (see
+ *    {@link Permission#onTimeout}).
+ *  - `name`, `description` and `category`: metadata describing the
+ *    permission, listed in catalogs (see {@link Registry#catalog});
+ *  - `agentType`: the type of agent (e.g. `user` or `client`) the permission
+ *    applies to, if not set by its permission type (see
+ *    {@link Permission.create});
+ *  - `validateSets`: checks the permission sets retrieved for the permission
+ *    (see {@link Permission#validateSets}).
  *
  * @constructor
  */
-function Permission(code, allowedByDefault, test) {
+function Permission(code, allowedByDefault, test, options) {
   if (!(this instanceof Permission)) {
-    return new Permission(code, allowedByDefault, test);
+    return new Permission(code, allowedByDefault, test, options);
   }
 
   if (!code && code !== 0) {
     throw(new Error('Missing permission code'));
   }
 
-  if (Permission.isUsedCode(code)) {
-    throw(new Error('Duplicate permission code: ' + code));
+  if (String(code).indexOf(Permission.WILDCARD) !== -1) {
+    throw(new Error('Invalid permission code: ' + code));
   }
 
-  Permission._codes.push(code);
-
   /**
    * Permission's code.
    * @type {(String|Number)}
@@ -57,6 +128,10 @@ function Permission(code, allowedByDefault, test) {
    */
   this.allowedByDefault = Boolean(allowedByDefault);
 
+  if (test && typeof test === 'object') {
+    test = compile(test);
+  }
+
   if (test) {
     if (typeof test !== 'function') {
       throw(new Error('Invalid permission test'));
@@ -64,56 +139,402 @@ function Permission(code, allowedByDefault, test) {
 
     this._test = test;
   }
+
+  if (options && options.cache !== undefined) {
+    this.cache = Boolean(options.cache);
+  }
+
+  if (options && options.cost !== undefined) {
+    if (typeof options.cost !== 'number' || isNaN(options.cost)) {
+      throw(new Error('Invalid permission cost: ' + options.cost));
+    }
+
+    this.cost = options.cost;
+  }
+
+  if (options && options.timeout !== undefined) {
+    if (typeof options.timeout !== 'number' || !isFinite(options.timeout) ||
+        options.timeout < 0) {
+      throw(new Error('Invalid permission timeout: ' + options.timeout));
+    }
+
+    this.timeout = options.timeout;
+  }
+
+  if (options && options.onTimeout !== undefined) {
+    if (Permission.ON_TIMEOUT.indexOf(options.onTimeout) === -1) {
+      throw(new Error('Invalid timeout behaviour: ' + options.onTimeout));
+    }
+
+    this.onTimeout = options.onTimeout;
+  }
+
+  METADATA.forEach(function (key) {
+    if (options && options[key] !== undefined) {
+      this[key] = options[key];
+    }
+  }, this);
+
+  if (options && options.validateSets !== undefined) {
+    this.validateSets = options.validateSets;
+  }
+
+  this.registry.add(this);
 }
 
 
 
 /**
  * Tests a given request to see if it has the described permission.
+ *
+ * Errors raised while retrieving the permission set or running the
+ * permission's test function (either thrown or passed to the test's callback)
+ * are passed on to `done`.
+ *
+ * If no callback is given, a promise for the result is returned instead.
+ *
  * @param {object} req
- * @param {function(boolean)} done A callback called with a boolean indicating
- *  whether the request is allowed to proceed or not.
+ * @param {function(Error, boolean)=} done A callback called with an error, if
+ *  any, and a boolean indicating whether the request is allowed to proceed
+ *  or not.
+ * @returns {(Promise|undefined)} A promise for the result, if no callback is
+ *  given.
  */
 Permission.prototype.test = function (req, done) {
-  var permissions = this.getPermissions(req);
-  var permission;
-  var hasPermission;
-  var isAllowedByDefault;
-
-  if (permissions) {
-    permission = permissions[this.code];
-    hasPermission = Boolean(permission);
-    isAllowedByDefault = permission === undefined && this.allowedByDefault;
-
-    if (hasPermission || isAllowedByDefault) {
-      if (this._test) {
-        if (this._test.length <= 1) {
-          // sync test
-          done(this._test(req));
-        } else {
-          this._test(req, done);
-        }
-      } else {
-        done(true);
+  if (typeof done !== 'function') {
+    return promisify(this.test.bind(this))(req);
+  }
+
+  this.explain(req, function (err, decision) {
+    if (err) { return done(err); }
+    // Custom tests have always passed their own result through
+    done(null, 'test' in decision ? decision.test : decision.allowed);
+  });
+};
+
+
+/**
+ * Tests a given request just like {@link Permission#test}, but reports how
+ * the decision was made instead of just its result:
+ *
+ *    {
+ *      type: 'permission',
+ *      code: 12,
+ *      value: undefined,     // Value found in the permission set
+ *      defaultApplied: true, // Whether `allowedByDefault` was used
+ *      test: false,          // Result of the test function, if called
+ *      allowed: false
+ *    }
+ *
+ * If the value was found in a wildcard entry (see {@link Permission.match}),
+ * the decision also has a `wildcard` property with the entry's key. If it
+ * was found in a conditional grant (see {@link Permission.isActive}), the
+ * decision has a `grant` property with it.
+ *
+ * Unless the permission's `cache` flag is turned off, the decision is
+ * cached for the request's lifetime: testing the same request again (e.g.
+ * in another guard or composite) reuses it, without retrieving the
+ * permission set or calling the test function again.
+ *
+ * Every decision (and error) is reported through `permission.events` (see
+ * {@link events}).
+ *
+ * @param {object} req
+ * @param {function(Error, Object)=} done A callback called with an error, if
+ *  any, and the decision.
+ * @returns {(Promise|undefined)} A promise for the decision, if no callback
+ *  is given.
+ */
+Permission.prototype.explain = function (req, done) {
+  var self = this;
+  var startedAt = Date.now();
+  var callback = done;
+  var cache;
+  var entry;
+
+  if (typeof done !== 'function') {
+    return promisify(this.explain.bind(this))(req);
+  }
+
+  done = function (err, decision) {
+    var event = {
+      source: 'permission',
+      req: req,
+      codes: [self.code],
+      startedAt: startedAt
+    };
+
+    if (err) {
+      event.error = err;
+    } else {
+      event.allowed = decision.allowed;
+      event.decision = decision;
+    }
+
+    report(event);
+    callback(err, decision);
+  };
+
+  if (!this.cache || !req || typeof req !== 'object') {
+    return this._evaluate(req, done);
+  }
+
+  cache = caches.get(req);
+
+  if (!cache) {
+    cache = new Map();
+    caches.set(req, cache);
+  }
+
+  entry = cache.get(this);
+
+  if (entry) {
+    if (entry.decision) { return done(null, entry.decision); }
+    return entry.waiting.push(done);
+  }
+
+  entry = {waiting: [done]};
+  cache.set(this, entry);
+
+  this._evaluate(req, function (err, decision) {
+    var waiting = entry.waiting;
+
+    entry.waiting = [];
+
+    // Errors are not cached, so the permission is evaluated again the next
+    // time it's tested
+    if (err) {
+      cache.delete(self);
+    } else {
+      entry.decision = decision;
+    }
+
+    waiting.forEach(function (cb) {
+      cb(err, decision);
+    });
+  });
+};
+
+
+/**
+ * Evaluates the permission against the given request, without caching.
+ * @param {object} req
+ * @param {function(Error, Object)} done A callback called with an error, if
+ *  any, and the decision (see {@link Permission#explain}).
+ * @private
+ */
+Permission.prototype._evaluate = function (req, done) {
+  var self = this;
+  var decision = {
+    type: 'permission',
+    code: this.code,
+    value: undefined,
+    defaultApplied: false,
+    allowed: false
+  };
+
+  done = timeout(this.timeout, done, function (done) {
+    if (self.onTimeout === 'error') {
+      return done(timeoutError('permission ' + self.code, self.timeout));
+    }
+
+    // Fails closed, leaving the original decision alone since the
+    // evaluation may still complete
+    done(null, {
+      type: 'permission',
+      code: self.code,
+      value: decision.value,
+      defaultApplied: decision.defaultApplied,
+      timedOut: true,
+      allowed: false
+    });
+  });
+
+  this.loadSources(req, function (err, sources) {
+    var found;
+    var hasPermission;
+    var isAllowedByDefault;
+
+    if (err) {
+      return done(err);
+    }
+
+    sources = sources.filter(function (source) {
+      return source.permissions;
+    });
+
+    if (sources.length) {
+      // Sets come from outside (e.g. a database), so errors resolving them
+      // are reported like any other error
+      try {
+        found = find(sources, self.code, self.combine, req);
+      } catch (err) {
+        return done(err);
+      }
+
+      decision.value = found && found.value;
+      decision.defaultApplied = decision.value === undefined;
+
+      if (found && found.entry !== self.code) {
+        decision.wildcard = found.entry;
+      }
+
+      if (found && self.sources) {
+        decision.source = found.source;
+      }
+
+      if (found && found.grant) {
+        decision.grant = found.grant;
       }
 
-      return;
+      hasPermission = Boolean(decision.value);
+      isAllowedByDefault = decision.defaultApplied && self.allowedByDefault;
+
+      if (hasPermission || isAllowedByDefault) {
+        if (!self._test) {
+          decision.allowed = true;
+          return done(null, decision);
+        }
+
+        return invoke(self._test.bind(self), req, function (err, result) {
+          if (err) { return done(err); }
+          decision.test = result;
+          decision.allowed = Boolean(result);
+          done(null, decision);
+        });
+      }
     }
+
+    done(null, decision);
+  });
+};
+
+
+/**
+ * Retrieves the permission set for the given request, regardless of how
+ * `#getPermissions()` provides it. The getter may:
+ *
+ * - return the permission set directly;
+ * - return a promise for the permission set;
+ * - accept a callback as its second argument and call it with
+ *   `(err, permissions)` (in which case it must return nothing).
+ *
+ * Errors thrown by the getter are passed on to `done`. The permission set is
+ * also validated, if {@link Permission#validateSets} is set. For scoped
+ * requests (see {@link Permission.scope}), the set is retrieved once for the
+ * request they were created from.
+ *
+ * @param {Request} req
+ * @param {function(Error, Object)} done
+ */
+Permission.prototype.loadPermissions = function (req, done) {
+  var self = this;
+
+  fetch(this, this.getPermissions, req, function (err, permissions) {
+    if (err) { return done(err); }
+    self._checkSet(permissions, req, done);
+  });
+};
+
+
+/**
+ * Retrieves the permission sets the permission is looked for in. Unless the
+ * permission type declares multiple sources (see {@link Permission.create}),
+ * that's just the set retrieved by {@link Permission#loadPermissions}. The
+ * sets are retrieved in parallel, and validated if
+ * {@link Permission#validateSets} is set. Sets overridden for the request
+ * (see {@link Permission.overrideSets}) are used instead, as a single set.
+ *
+ * @param {Request} req
+ * @param {function(Error, Array.<{name: *, permissions: Object}>)} done
+ *  Called with the sets, in the sources' order, along with the names of
+ *  their sources.
+ */
+Permission.prototype.loadSources = function (req, done) {
+  var self = this;
+  var scope = req && typeof req === 'object' && scopes.get(req);
+  var lookup = req && typeof req === 'object' &&
+    overrides.get(scope ? scope.req : req);
+  var permissions = lookup ? lookup(this) : undefined;
+
+  if (permissions !== undefined) {
+    return this._checkSet(permissions, req, function (err, permissions) {
+      if (err) { return done(err); }
+      done(null, [{name: undefined, permissions: permissions}]);
+    });
   }
 
-  done(false);
+  if (!this.sources) {
+    return this.loadPermissions(req, function (err, permissions) {
+      if (err) { return done(err); }
+      done(null, [{name: undefined, permissions: permissions}]);
+    });
+  }
+
+  async.map(this.sources, function (source, cb) {
+    fetch(self, source.get, req, function (err, permissions) {
+      if (err) { return cb(err); }
+
+      self._checkSet(permissions, req, function (err, permissions) {
+        cb(err, {name: source.name, permissions: permissions});
+      });
+    });
+  }, done);
 };
 
+
+/**
+ * Validates a retrieved permission set, if {@link Permission#validateSets}
+ * is set.
+ * @param {Object} permissions
+ * @param {Request} req
+ * @param {function(Error, Object)} done Called with the set.
+ * @private
+ */
+Permission.prototype._checkSet = function (permissions, req, done) {
+  var validateSets = this.validateSets;
+  var problems;
+  var error;
+
+  if (!validateSets || !permissions) {
+    return done(null, permissions);
+  }
+
+  problems = Permission.validate(permissions, this.constructor);
+
+  if (!problems.length) {
+    return done(null, permissions);
+  }
+
+  if (typeof validateSets === 'function') {
+    validateSets(problems, req);
+    return done(null, permissions);
+  }
+
+  error = new Error('Invalid permission set: ' + problems.map(function (p) {
+    return p.message;
+  }).join('; '));
+  error.problems = problems;
+  done(error);
+};
+
+
 /**
  * Gets the permission object in which permissions are supposed to be looked
  * for. This should be a map, matching permission codes to a boolean,
  * indicating whether the request target of interest (user, client, etc) has
  * the the permission or not.
  *
+ * The permission set may also be retrieved asynchronously, either by
+ * returning a promise or by accepting a callback as the second argument (see
+ * {@link Permission#loadPermissions}).
+ *
  * > **NOTE:** subclasses MUST override this method.
  *
  * @param {Request} req
- * @returns {Object} An object representing a permission map.
+ * @param {function(Error, Object)=} done Optional callback for async getters.
+ * @returns {(Object|Promise)} An object representing a permission map or a
+ *  promise for it.
  */
 Permission.prototype.getPermissions = function () {
   throw(new Error(
@@ -124,33 +545,466 @@ Permission.prototype.getPermissions = function () {
 
 
 /**
- * Stores the codes already in use to ensure that every `Permission` instance
- * has a unique code.
- * @type {Array}
- * @private
+ * Describes the permission for catalogs (see {@link Registry#catalog}), also
+ * used when serializing it to JSON:
+ *
+ *    {
+ *      code: 12,
+ *      name: 'Edit posts',
+ *      description: 'Allows editing other users\' posts',
+ *      category: 'posts',
+ *      agentType: 'user',
+ *      allowedByDefault: false,
+ *      test: true              // Whether it has a test function
+ *    }
+ *
+ * Metadata that isn't set is left out.
+ * @returns {Object}
+ */
+Permission.prototype.toJSON = function () {
+  var description = {code: this.code};
+
+  METADATA.forEach(function (key) {
+    if (this[key] !== undefined) {
+      description[key] = this[key];
+    }
+  }, this);
+
+  description.allowedByDefault = this.allowedByDefault;
+  description.test = Boolean(this._test);
+
+  return description;
+};
+
+
+/**
+ * Whether decisions are cached per request (see {@link Permission#explain}).
+ * Turn it off for permissions whose tests have side effects or depend on
+ * data that may change during the request. It may be set on instances (see
+ * the `cache` option), on permission types' prototypes or on
+ * `Permission.prototype`, to turn caching off for every permission.
+ * @type {Boolean}
+ */
+Permission.prototype.cache = true;
+
+
+/**
+ * Sources of the permission sets of types with multiple sources (see
+ * {@link Permission.create}), in order.
+ * @type {(Array.<{name: *, get: function(req, function=)}>|undefined)}
+ */
+Permission.prototype.sources = undefined;
+
+
+/**
+ * How the values found in the sets of types with multiple sources are
+ * combined into the permission's value:
+ *
+ * - `'deny-overrides'`: the permission is revoked if any source revokes it,
+ *   granted if any other source grants it;
+ * - `'allow-overrides'`: the permission is granted if any source grants it,
+ *   revoked if any other source revokes it;
+ * - `'first-applicable'`: the value of the first source with an entry for
+ *   the permission is used.
+ *
+ * Sources without an entry for the permission are ignored. If none has one,
+ * the permission's default value is used.
+ * @type {String}
+ */
+Permission.prototype.combine = 'deny-overrides';
+
+
+/**
+ * Supported values of {@link Permission#combine}.
+ * @type {Array.<String>}
+ */
+Permission.COMBINE = ['deny-overrides', 'allow-overrides', 'first-applicable'];
+
+
+/**
+ * Whether the permission sets retrieved for the permission are checked
+ * against the registered codes (see {@link Permission.validate}). If set to
+ * `true`, sets with problems are rejected with an error listing them (in its
+ * `problems` property). If set to a function, it's called with the problems
+ * and the request instead, and the set is used anyway.
+ *
+ * Validation runs every time a set is retrieved, so it's meant for
+ * development:
+ *
+ *    Permission.prototype.validateSets = process.env.NODE_ENV !== 'production';
+ *
+ * @type {(Boolean|function(Array.<Object>, req))}
+ */
+Permission.prototype.validateSets = false;
+
+
+/**
+ * Relative cost of evaluating the permission (e.g. `10` for a permission
+ * whose test queries a remote service). Composites evaluated with the
+ * `cost` order run their cheapest tests first (see {@link helper.any}).
+ * @type {Number}
+ */
+Permission.prototype.cost = 0;
+
+
+/**
+ * Maximum time, in milliseconds, the evaluation of the permission (i.e.
+ * retrieving the permission set and running the test function) may take.
+ * `0` means no timeout. Like {@link Permission#cache}, it may be set on
+ * instances (see the `timeout` option), on permission types' prototypes or
+ * on `Permission.prototype`, which also sets the default timeout of
+ * composites.
+ * @type {Number}
+ */
+Permission.prototype.timeout = 0;
+
+
+/**
+ * What to do when the evaluation of the permission times out:
+ *
+ * - `'error'`: a timeout error (with the `ETIMEDOUT` code) is passed on, as
+ *   for any other error;
+ * - `'deny'`: the request is denied (the permission fails closed). The
+ *   decision has a `timedOut` flag.
+ *
+ * Results reported after the timeout are ignored.
+ * @type {String}
+ */
+Permission.prototype.onTimeout = 'error';
+
+
+/**
+ * Supported values of {@link Permission#onTimeout}.
+ * @type {Array.<String>}
+ */
+Permission.ON_TIMEOUT = ['error', 'deny'];
+
+
+/**
+ * Clears the decisions cached for the given request, so its permissions are
+ * evaluated again the next time they're tested (e.g. after the agent's
+ * permissions change during the request).
+ * @param {object} req
+ */
+Permission.clearCache = function (req) {
+  if (req && typeof req === 'object') {
+    caches.delete(req);
+  }
+};
+
+
+/**
+ * Overrides the permission sets of a request. Before retrieving the sets of
+ * a permission, the lookup is called with the permission and may return the
+ * set to use instead, whatever sources its type declares. If it returns
+ * `undefined`, the sets are retrieved as usual. Meant for tests (see the
+ * `testing` module) and for previewing the decisions of a given set.
+ * @param {object} req
+ * @param {?function(Permission): (Object|undefined)} lookup Pass `null` to
+ *  remove the override.
+ */
+Permission.overrideSets = function (req, lookup) {
+  if (!req || typeof req !== 'object') {
+    throw(new Error('Invalid request: ' + req));
+  }
+
+  if (lookup === null) {
+    overrides.delete(req);
+  } else if (typeof lookup === 'function') {
+    overrides.set(req, lookup);
+  } else {
+    throw(new Error('Invalid permission set lookup: ' + lookup));
+  }
+};
+
+
+/**
+ * Creates requests scoped to resources of the given request, for testing
+ * the same permissions once per resource (see {@link filter}). Scoped
+ * requests inherit from `req`, so its properties (such as `req.user`) are
+ * still available, and have their own decisions cached. Permission sets are
+ * retrieved for each scoped request, so getters may depend on the resource,
+ * unless the `shareSets` option is set: sets are then retrieved once, for
+ * `req`, and shared by every request created by the returned function. Sets
+ * overridden for `req` (see {@link Permission.overrideSets}) also apply to
+ * scoped requests.
+ * @param {object} req
+ * @param {{shareSets: Boolean}=} options
+ * @returns {function(Object): object} Creates a scoped request with the
+ *  given properties (e.g. `{post: post}`).
  */
-Permission._codes = [];
+Permission.scope = function (req, options) {
+  var lookups = options && options.shareSets ? new Map() : null;
+
+  if (!req || typeof req !== 'object') {
+    throw(new Error('Invalid request: ' + req));
+  }
+
+  return function (properties) {
+    var scoped = Object.create(req);
+
+    Object.keys(properties || {}).forEach(function (key) {
+      scoped[key] = properties[key];
+    });
+
+    scopes.set(scoped, {req: req, lookups: lookups});
+    return scoped;
+  };
+};
 
 
 /**
- * Checks if the given code is already in use by another permission.
+ * Separates the segments of hierarchical permission codes (e.g.
+ * `post:edit`).
+ * @type {String}
+ */
+Permission.SEPARATOR = ':';
+
+
+/**
+ * Matches any code (or any code in a namespace) in permission sets (e.g. `*`
+ * or `post:*`). Permission codes must not contain it.
+ * @type {String}
+ */
+Permission.WILDCARD = '*';
+
+
+/**
+ * Finds the entry of a permission set that applies to the given code. An
+ * explicit entry for the code has precedence over wildcard entries, and more
+ * specific wildcards have precedence over less specific ones. For the code
+ * `post:comment:edit`, the entries are looked for in this order:
+ *
+ *    post:comment:edit
+ *    post:comment:*
+ *    post:*
+ *    *
+ *
+ * @param {Object} permissions A permission set.
+ * @param {(String|Number)} code
+ * @returns {(String|Number|undefined)} The key of the matching entry or
+ *  `undefined` if none applies.
+ */
+Permission.match = function (permissions, code) {
+  var segments = String(code).split(Permission.SEPARATOR);
+  var key;
+
+  if (permissions[code] !== undefined) {
+    return code;
+  }
+
+  while (segments.length) {
+    segments.pop();
+    key = segments.concat(Permission.WILDCARD).join(Permission.SEPARATOR);
+
+    if (permissions[key] !== undefined) {
+      return key;
+    }
+  }
+};
+
+
+/**
+ * The default registry, in which permissions are registered unless their type
+ * is bound to another registry.
+ * @type {Registry}
+ */
+Permission.registry = new Registry();
+
+
+/**
+ * The registry in which instances are registered. Permission types created
+ * with {@link Permission.create} may be bound to other registries.
+ * @type {Registry}
+ */
+Permission.prototype.registry = Permission.registry;
+
+
+/**
+ * Checks if the given code is already in use by another permission in the
+ * default registry.
  * @param code {(String|Number)}
  * @returns {Boolean}
  * @private
  */
 Permission.isUsedCode = function (code) {
-  return Permission._codes.indexOf(code) !== -1;
+  return Permission.registry.has(code);
+};
+
+
+/**
+ * Checks a permission set against the codes registered for a permission
+ * type, reporting:
+ *
+ * - `unknown-code`: entries that don't apply to any registered permission
+ *   (e.g. a typo in a code, or a wildcard matching no code);
+ * - `wrong-type`: entries that only apply to permissions of other types;
+ * - `invalid-value`: entries whose value is neither a boolean nor a valid
+ *   conditional grant (see {@link Permission.isActive}).
+ *
+ *    UserPermission.validate({12: true, 21: 'yes'});
+ *    // => [{code: '12', problem: 'unknown-code',
+ *    //      message: 'Unknown permission code: 12'}, ...]
+ *
+ * @param {Object} permissions The permission set.
+ * @param {function=} type The permission type the set is meant for. Its
+ *  registry is used to look up the codes. Defaults to `Permission`, which
+ *  accepts permissions of any type in the default registry. Types created
+ *  with {@link Permission.create} have a `validate(permissions)` shortcut.
+ * @returns {Array.<{code: String, problem: String, message: String}>} The
+ *  problems found, if any.
+ */
+Permission.validate = function (permissions, type) {
+  var registered;
+  var problems = [];
+
+  type = type || Permission;
+  registered = type.prototype.registry.permissions();
+
+  function report(code, problem, message) {
+    problems.push({code: code, problem: problem, message: message});
+  }
+
+  Object.keys(permissions).forEach(function (key) {
+    var value = permissions[key];
+    var entry = {};
+    var matching;
+
+    entry[key] = true;
+    matching = registered.filter(function (permission) {
+      return Permission.match(entry, permission.code) !== undefined;
+    });
+
+    if (!matching.length) {
+      report(key, 'unknown-code', 'Unknown permission code: ' + key);
+    } else if (!matching.some(function (permission) {
+      return permission instanceof type;
+    })) {
+      report(key, 'wrong-type', 'Permission of another type: ' + key);
+    }
+
+    if (typeof value !== 'boolean' && !isGrant(value)) {
+      report(key, 'invalid-value',
+        'Invalid value for permission ' + key + ': ' + JSON.stringify(value));
+    }
+  });
+
+  return problems;
+};
+
+
+/**
+ * Checks if a conditional grant is in effect for the given request.
+ * Permission set entries may be objects instead of booleans, to grant (or
+ * revoke) a permission temporarily or only for some requests:
+ *
+ *    {
+ *      'post:edit': {
+ *        granted: true,                      // Defaults to `true`
+ *        notBefore: '2026-10-19T00:00:00Z',  // Date, timestamp or string
+ *        expiresAt: '2026-10-23T18:00:00Z',
+ *        constraints: {
+ *          'params.postId': ['12', '13'],    // One of these values
+ *          'user.organization': 'acme'       // This value
+ *        }
+ *      }
+ *    }
+ *
+ * Constraints map paths in the request to the value they must have, or a
+ * list of accepted values. Values are compared as strings, so `12` matches
+ * `'12'`. A grant is in effect if the current time is within its period and
+ * every constraint is met. Grants that aren't in effect (or are invalid, see
+ * {@link Permission.validate}) are ignored, as if the entry wasn't in the set
+ * (so less specific entries, other sources or the permission's default value
+ * apply instead).
+ *
+ * @param {Object} grant
+ * @param {Object} req
+ * @param {Number=} now Current time, as a timestamp. Defaults to
+ *  `Date.now()`.
+ * @returns {Boolean}
+ */
+Permission.isActive = function (grant, req, now) {
+  var constraints = grant.constraints || {};
+  var notBefore = grant.notBefore === undefined ?
+    -Infinity :
+    toTime(grant.notBefore);
+  var expiresAt = grant.expiresAt === undefined ?
+    Infinity :
+    toTime(grant.expiresAt);
+
+  now = now === undefined ? Date.now() : now;
+
+  if (isNaN(notBefore) || isNaN(expiresAt) ||
+      now < notBefore || now >= expiresAt) {
+    return false;
+  }
+
+  return Object.keys(constraints).every(function (path) {
+    var actual = get(req, path);
+    var accepted = [].concat(constraints[path]);
+
+    return actual !== undefined && actual !== null &&
+      accepted.some(function (value) {
+        return String(value) === String(actual);
+      });
+  });
+};
+
+
+/**
+ * Lists the permissions in the default registry (see
+ * {@link Registry#catalog}).
+ * @returns {Array.<Object>}
+ */
+Permission.catalog = function () {
+  return Permission.registry.catalog();
 };
 
 
 /**
  * Creates a new `Permission` subclass.
- * @param {function(req)} getPermissions A function responsible for
- *  retrieving the permission set for a specific agent from the given
- *  request object.
+ *
+ * Permission sets may be combined from multiple sources (e.g. the user's own
+ * set, their groups' and their organization's) by passing a map (or an
+ * array) of getters, along with the `combine` option:
+ *
+ *    var UserPermission = Permission.create({
+ *      user: function (req) { return req.user.permissions; },
+ *      groups: getGroupPermissions,
+ *      organization: getOrganizationPermissions
+ *    }, {combine: 'deny-overrides'});
+ *
+ * The value of a permission is then looked for in every set, and the
+ * decisions of its permissions have a `source` property with the name (or
+ * index) of the source that decided it. The type's `getPermissions()`
+ * returns the sets merged with the same policy.
+ *
+ * @param {(function(req, function=)|Object|Array)} getPermissions A
+ *  function responsible for retrieving the permission set for a specific
+ *  agent from the given request object. It may return the set, a promise for
+ *  it or call the optional callback with `(err, permissions)`. May also be a
+ *  map (or an array) of such functions.
+ * @param {Object=} options Options for the new type:
+ *
+ *  - `registry`: a {@link Registry} in which the type's permissions are
+ *    registered, instead of the default one. Codes only need to be unique
+ *    within a registry;
+ *  - `cache`: set to `false` to turn off caching for the type's permissions
+ *    (see {@link Permission#cache});
+ *  - `agentType`: the type of agent (e.g. `user` or `client`) whose
+ *    permissions the type describes, listed in catalogs;
+ *  - `validateSets`: checks the permission sets retrieved by the type (see
+ *    {@link Permission#validateSets});
+ *  - `combine`: how the sets of multiple sources are combined (see
+ *    {@link Permission#combine}). Defaults to `deny-overrides`.
+ *
+ * The type also has a `validate(permissions)` method, which checks
+ * permission sets against its permissions (see {@link Permission.validate}).
+ *
  * @returns {function} A `Permission` subclass
  */
-Permission.create = function (getPermissions) {
+Permission.create = function (getPermissions, options) {
   function PermissionType() {
     PermissionType.super_.apply(this, arguments);
   }
@@ -159,11 +1013,307 @@ Permission.create = function (getPermissions) {
 
   if (typeof getPermissions === 'function') {
     PermissionType.prototype.getPermissions = getPermissions;
+  } else if (getPermissions && typeof getPermissions === 'object') {
+    PermissionType.prototype.sources = Object.keys(getPermissions)
+      .map(function (key) {
+        if (typeof getPermissions[key] !== 'function') {
+          throw(new Error('Invalid permission source: ' + key));
+        }
+
+        return {
+          name: Array.isArray(getPermissions) ? Number(key) : key,
+          get: getPermissions[key]
+        };
+      });
+
+    PermissionType.prototype.getPermissions = function (req, done) {
+      var combine = this.combine;
+
+      this.loadSources(req, function (err, sources) {
+        var merged;
+
+        if (err) { return done(err); }
+
+        try {
+          merged = merge(sources, combine, req);
+        } catch (err) {
+          return done(err);
+        }
+
+        done(null, merged);
+      });
+    };
+  }
+
+  if (options && options.combine !== undefined) {
+    if (Permission.COMBINE.indexOf(options.combine) === -1) {
+      throw(new Error('Invalid combining policy: ' + options.combine));
+    }
+
+    PermissionType.prototype.combine = options.combine;
+  }
+
+  if (options && options.registry) {
+    PermissionType.prototype.registry = options.registry;
+  }
+
+  if (options && options.cache !== undefined) {
+    PermissionType.prototype.cache = Boolean(options.cache);
+  }
+
+  if (options && options.agentType !== undefined) {
+    PermissionType.prototype.agentType = options.agentType;
   }
 
+  if (options && options.validateSets !== undefined) {
+    PermissionType.prototype.validateSets = options.validateSets;
+  }
+
+  PermissionType.validate = function (permissions) {
+    return Permission.validate(permissions, PermissionType);
+  };
+
   return PermissionType;
 };
 
 
 
+/**
+ * Finds the index of the value deciding a permission among the values found
+ * in several sources, according to a combining policy (see
+ * {@link Permission#combine}).
+ * @param {Array} values The values found in each source (`undefined` if the
+ *  source has no entry).
+ * @param {String} policy
+ * @returns {Number} The index of the deciding value, or `-1` if no source
+ *  has an entry.
+ * @private
+ */
+function decide(values, policy) {
+  var granted = -1;
+  var denied = -1;
+  var i, len;
+
+  for (i = 0, len = values.length; i < len; i += 1) {
+    if (values[i] === undefined) { continue; }
+    if (policy === 'first-applicable') { return i; }
+
+    if (values[i]) {
+      granted = granted === -1 ? i : granted;
+    } else {
+      denied = denied === -1 ? i : denied;
+    }
+  }
+
+  if (policy === 'allow-overrides') {
+    return granted !== -1 ? granted : denied;
+  }
+
+  return denied !== -1 ? denied : granted;
+}
+
+
+/**
+ * Calls a permission set getter. For scoped requests sharing their sets (see
+ * {@link Permission.scope}), the getter is called once with the request
+ * they were created from, and its outcome is shared with the other scoped
+ * requests.
+ * @param {Permission} permission The permission the getter is called on.
+ * @param {function(req, function(Error, Object)=)} getter
+ * @param {Object} req
+ * @param {function(Error, Object)} done
+ * @private
+ */
+function fetch(permission, getter, req, done) {
+  var scope = req && typeof req === 'object' && scopes.get(req);
+  var lookup;
+
+  if (!scope || !scope.lookups) {
+    return invoke(getter.bind(permission), req, done);
+  }
+
+  lookup = scope.lookups.get(getter);
+
+  if (lookup) {
+    if (lookup.waiting) { return lookup.waiting.push(done); }
+    return done(lookup.err, lookup.permissions);
+  }
+
+  lookup = {waiting: [done]};
+  scope.lookups.set(getter, lookup);
+
+  invoke(getter.bind(permission), scope.req, function (err, permissions) {
+    var waiting = lookup.waiting;
+
+    lookup.waiting = null;
+    lookup.err = err;
+    lookup.permissions = permissions;
+
+    waiting.forEach(function (cb) {
+      cb(err, permissions);
+    });
+  });
+}
+
+
+/**
+ * Finds the entry that decides the value of a permission in the given sets.
+ * Conditional grants are resolved against the request first.
+ * @param {Array.<{name: *, permissions: Object}>} sources
+ * @param {(String|Number)} code
+ * @param {String} policy
+ * @param {Object} req
+ * @returns {({entry: (String|Number), value: *, source: *, grant: Object=}|
+ *  undefined)}
+ * @private
+ */
+function find(sources, code, policy, req) {
+  var now = Date.now();
+  var found = sources.map(function (source) {
+    var permissions = resolveGrants(source.permissions, req, now);
+    var entry = Permission.match(permissions, code);
+    var original;
+
+    if (entry === undefined) {
+      return undefined;
+    }
+
+    original = source.permissions[entry];
+
+    return {
+      entry: entry,
+      value: permissions[entry],
+      source: source.name,
+      grant: isGrant(original) ? original : undefined
+    };
+  });
+
+  return found[decide(found.map(function (item) {
+    return item && item.value;
+  }), policy)];
+}
+
+
+/**
+ * Resolves the conditional grants of a permission set (see
+ * {@link Permission.isActive}): grants in effect are replaced by their value
+ * and the others are left out.
+ * @param {Object} permissions
+ * @param {Object} req
+ * @param {Number} now
+ * @returns {Object} The resolved set (the given one, if it has no
+ *  conditional grants). Invalid grants are resolved to `false`.
+ * @private
+ */
+function resolveGrants(permissions, req, now) {
+  var resolved = permissions;
+  var key;
+
+  for (key in permissions) {
+    if (Object.prototype.hasOwnProperty.call(permissions, key) &&
+        permissions[key] && typeof permissions[key] === 'object') {
+      if (resolved === permissions) {
+        resolved = copy(permissions);
+      }
+
+      // Invalid grants deny the permission, since they may have been meant to
+      // restrict it
+      if (!isGrant(permissions[key])) {
+        resolved[key] = false;
+      } else if (Permission.isActive(permissions[key], req, now)) {
+        resolved[key] = permissions[key].granted !== false;
+      } else {
+        delete resolved[key];
+      }
+    }
+  }
+
+  return resolved;
+}
+
+
+/**
+ * Checks if a permission set value is a conditional grant.
+ * @param {*} value
+ * @returns {Boolean}
+ * @private
+ */
+function isGrant(value) {
+  return Boolean(value) && typeof value === 'object' &&
+    !Array.isArray(value) &&
+    Object.keys(value).every(function (key) {
+      return GRANT.indexOf(key) !== -1;
+    }) &&
+    (value.granted === undefined || typeof value.granted === 'boolean') &&
+    (value.notBefore === undefined || !isNaN(toTime(value.notBefore))) &&
+    (value.expiresAt === undefined || !isNaN(toTime(value.expiresAt))) &&
+    (value.constraints === undefined ||
+      (Boolean(value.constraints) && typeof value.constraints === 'object'));
+}
+
+
+/**
+ * Converts a date (a `Date`, a timestamp or a string) to a timestamp.
+ * @param {(Date|Number|String)} date
+ * @returns {Number} The timestamp, or `NaN` if the date is invalid.
+ * @private
+ */
+function toTime(date) {
+  if (date instanceof Date) { return date.getTime(); }
+  if (typeof date === 'number') { return date; }
+  return Date.parse(date);
+}
+
+
+/**
+ * Creates a shallow copy of an object.
+ * @param {Object} object
+ * @returns {Object}
+ * @private
+ */
+function copy(object) {
+  var result = {};
+  var key;
+
+  for (key in object) {
+    if (Object.prototype.hasOwnProperty.call(object, key)) {
+      result[key] = object[key];
+    }
+  }
+
+  return result;
+}
+
+
+/**
+ * Merges the sets of several sources into a single set. Conditional grants
+ * are resolved against the request first, just like when testing a
+ * permission (see {@link find}), so the merged set holds their values.
+ * @param {Array.<{name: *, permissions: Object}>} sources
+ * @param {String} policy
+ * @param {Object} req
+ * @returns {Object}
+ * @private
+ */
+function merge(sources, policy, req) {
+  var now = Date.now();
+  var merged = {};
+  var sets = sources.map(function (source) {
+    return resolveGrants(source.permissions || {}, req, now);
+  });
+
+  sets.forEach(function (permissions) {
+    Object.keys(permissions).forEach(function (key) {
+      if (merged.hasOwnProperty(key)) { return; }
+
+      merged[key] = sets[decide(sets.map(function (set) {
+        return set[key];
+      }), policy)][key];
+    });
+  });
+
+  return merged;
+}
+
+
 module.exports = Permission;
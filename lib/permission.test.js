@@ -9,15 +9,20 @@ var async = require('async');
 var Permission = require('./permission');
 
 var permission;
-var req = {};
+var req;
 
 function clearPermissionCodes() {
-  Permission._codes = [];
+  Permission.registry.reset();
+}
+
+function createRequest() {
+  req = {};
 }
 
 describe('Permission', function () {
   before(clearPermissionCodes);
   afterEach(clearPermissionCodes);
+  beforeEach(createRequest);
 
   beforeEach(function () {
     permission = new Permission(123);
@@ -67,6 +72,63 @@ describe('Permission', function () {
   });
 
 
+  it('does not allow wildcards in codes', function () {
+    function withWildcard() {
+      return new Permission('post:*');
+    }
+
+    expect(withWildcard).to.throw('Invalid permission code: post:*');
+  });
+
+  it('registers the permission in the default registry', function () {
+    var permission = new Permission(456);
+    expect(Permission.registry.get(456)).to.equal(permission);
+  });
+
+  it('allows codes to be reused after being removed from the registry',
+    function () {
+      Permission.registry.remove(123);
+
+      function reuseCode() {
+        return new Permission(123);
+      }
+
+      expect(reuseCode).to.not.throw();
+    });
+
+  it('does not register permissions with invalid tests', function () {
+    function withInvalidTest() {
+      return new Permission(2, false, 'not a function');
+    }
+
+    expect(withInvalidTest).to.throw('Invalid permission test');
+    expect(Permission.registry.has(2)).to.be.false;
+  });
+
+  it('accepts a declarative condition as its test', function () {
+    var permission = new Permission(456, false, {
+      eq: ['post.owner', {attr: 'user.id'}]
+    });
+
+    sinon.stub(permission, 'getPermissions').returns({456: true});
+
+    return Promise.all([
+      permission.test({user: {id: 1}, post: {owner: 1}}),
+      permission.test({user: {id: 1}, post: {owner: 2}})
+    ]).then(function (results) {
+      expect(results).to.deep.equal([true, false]);
+    });
+  });
+
+  it('throws an error if the condition is invalid', function () {
+    function withInvalidCondition() {
+      return new Permission(456, false, {owner: 'user.id'});
+    }
+
+    expect(withInvalidCondition).to.throw('Invalid condition');
+    expect(Permission.registry.has(456)).to.be.false;
+  });
+
   it('throws an error if the provided test is not a function', function () {
     function withInvalidTest() {
       return new Permission(2, false, 'not a function');
@@ -75,6 +137,50 @@ describe('Permission', function () {
     expect(withInvalidTest).to.throw('Invalid permission test');
   });
 
+  it('accepts metadata in its options', function () {
+    var permission = new Permission(456, false, null, {
+      name: 'Edit posts',
+      description: 'Allows editing any post',
+      category: 'posts',
+      agentType: 'user'
+    });
+
+    expect(permission.name).to.equal('Edit posts');
+    expect(permission.description).to.equal('Allows editing any post');
+    expect(permission.category).to.equal('posts');
+    expect(permission.agentType).to.equal('user');
+  });
+
+  it('serializes its description to JSON', function () {
+    var permission = new Permission(456, true, function () {
+      return true;
+    }, {name: 'Edit posts'});
+
+    expect(JSON.parse(JSON.stringify(permission))).to.deep.equal({
+      code: 456,
+      name: 'Edit posts',
+      allowedByDefault: true,
+      test: true
+    });
+  });
+
+  it('has a cost of 0 by default', function () {
+    expect(new Permission(456).cost).to.equal(0);
+  });
+
+  it('accepts a cost in its options', function () {
+    expect(new Permission(456, false, null, {cost: 5}).cost).to.equal(5);
+  });
+
+  it('throws an error if the cost is not a number', function () {
+    function withInvalidCost() {
+      return new Permission(456, false, null, {cost: 'high'});
+    }
+
+    expect(withInvalidCost).to.throw('Invalid permission cost: high');
+  });
+
+
 
   describe('instance', function () {
 
@@ -94,12 +200,12 @@ describe('Permission', function () {
       });
 
       it('checks if the permission is in the list', function (done) {
-        permission.test(req, function (allow) {
+        permission.test({}, function (err, allow) {
           expect(allow).to.be.true;
 
           permission.getPermissions.returns({123: false});
 
-          permission.test(req, function (allow) {
+          permission.test({}, function (err, allow) {
             expect(allow).to.be.false;
             done();
           });
@@ -116,46 +222,40 @@ describe('Permission', function () {
 
         var tests = [];
 
-        function convert(cb) {
-          return function (result) {
-            cb(null, result);
-          };
-        }
-
         tests.push(function (cb) {
           // Allowed by default and permission not listed: pass
           permission1.getPermissions.returns({});
-          permission1.test(req, convert(cb));
+          permission1.test({}, cb);
         });
 
         tests.push(function (cb) {
           // Allowed by default and permission listed and granted: pass
           permission1.getPermissions.returns({456: true});
-          permission1.test(req, convert(cb));
+          permission1.test({}, cb);
         });
 
         tests.push(function (cb) {
           // Allowed by default, permission listed and denied: deny
           permission1.getPermissions.returns({456: false});
-          permission1.test(req, convert(cb));
+          permission1.test({}, cb);
         });
 
         tests.push(function (cb) {
           // Denied by default and permission not listed: deny
           permission2.getPermissions.returns({});
-          permission2.test(req, convert(cb));
+          permission2.test({}, cb);
         });
 
         tests.push(function (cb) {
           // Denied by default, permission listed and denied: deny
           permission2.getPermissions.returns({789: false});
-          permission2.test(req, convert(cb));
+          permission2.test({}, cb);
         });
 
         tests.push(function (cb) {
           // Denied by default, permission listed and granted: pass
           permission2.getPermissions.returns({789: true});
-          permission2.test(req, convert(cb));
+          permission2.test({}, cb);
         });
 
         async.parallel(tests, function (err, results) {
@@ -181,7 +281,7 @@ describe('Permission', function () {
         sinon.stub(permission, 'getPermissions');
         permission.getPermissions.returns({456: true});
 
-        permission.test(req, function (allow) {
+        permission.test(req, function (err, allow) {
           expect(test).to.have.been.calledOnce;
           expect(allow).to.be.true;
           done();
@@ -196,13 +296,78 @@ describe('Permission', function () {
           sinon.stub(permission, 'getPermissions');
           permission.getPermissions.returns({456: false});
 
-          permission.test(req, function (allow) {
+          permission.test(req, function (err, allow) {
             expect(test).to.not.have.been.called;
             expect(allow).to.be.false;
             done();
           });
         });
 
+      describe('with wildcard entries', function () {
+        var permission;
+
+        beforeEach(function () {
+          permission = new Permission('post:comment:edit', false);
+          sinon.stub(permission, 'getPermissions');
+        });
+
+        function expectAllowed(permissions, expected, done) {
+          permission.getPermissions.returns(permissions);
+          permission.test(req, function (err, allow) {
+            expect(allow).to.equal(expected);
+            done();
+          });
+        }
+
+        it('are granted by the global wildcard', function (done) {
+          expectAllowed({'*': true}, true, done);
+        });
+
+        it('are granted by namespace wildcards', function (done) {
+          expectAllowed({'post:*': true}, true, done);
+        });
+
+        it('are revoked by explicit entries', function (done) {
+          expectAllowed({'post:*': true, 'post:comment:edit': false}, false,
+            done);
+        });
+
+        it('are revoked by more specific wildcards', function (done) {
+          expectAllowed({'*': true, 'post:comment:*': false}, false, done);
+        });
+
+        it('are granted by more specific wildcards', function (done) {
+          expectAllowed({'post:*': false, 'post:comment:*': true}, true,
+            done);
+        });
+
+        it('only match whole segments', function (done) {
+          expectAllowed({'post:comm*': true, 'po*': true}, false, done);
+        });
+
+        it('fall back to the default if no entry applies', function (done) {
+          var permission = new Permission('post:delete', true);
+          sinon.stub(permission, 'getPermissions');
+          permission.getPermissions.returns({'user:*': false});
+
+          permission.test(req, function (err, allow) {
+            expect(allow).to.be.true;
+            done();
+          });
+        });
+
+        it('are reported by #explain()', function (done) {
+          permission.getPermissions.returns({'post:*': true});
+
+          permission.explain(req, function (err, decision) {
+            expect(decision.value).to.be.true;
+            expect(decision.wildcard).to.equal('post:*');
+            expect(decision.defaultApplied).to.be.false;
+            done();
+          });
+        });
+      });
+
       describe('with sync test function', function () {
         it('passes the result to the callback', function (done) {
           var permission = new Permission(456, false, function () {
@@ -212,11 +377,26 @@ describe('Permission', function () {
           sinon.stub(permission, 'getPermissions');
           permission.getPermissions.returns({456: true});
 
-          permission.test(req, function (allow) {
+          permission.test(req, function (err, allow) {
             expect(allow).to.equal('foo');
             done();
           });
         });
+
+        it('passes thrown errors to the callback', function (done) {
+          var error = new Error('test failed');
+          var permission = new Permission(456, false, function () {
+            throw error;
+          });
+
+          sinon.stub(permission, 'getPermissions');
+          permission.getPermissions.returns({456: true});
+
+          permission.test(req, function (err) {
+            expect(err).to.equal(error);
+            done();
+          });
+        });
       });
 
 
@@ -224,92 +404,1270 @@ describe('Permission', function () {
         it('passes the result to the callback', function (done) {
           var permission = new Permission(456, false, function (req, cb) {
             process.nextTick(function () {
-              cb('foo');
+              cb(null, 'foo');
             });
           });
 
           sinon.stub(permission, 'getPermissions');
           permission.getPermissions.returns({456: true});
 
-          permission.test(req, function (allow) {
+          permission.test(req, function (err, allow) {
             expect(allow).to.equal('foo');
             done();
           });
         });
+
+        it('works with bound functions', function (done) {
+          var context = {allow: true};
+          var permission = new Permission(456, false, function (req, cb) {
+            cb(null, this.allow);
+          }.bind(context));
+
+          sinon.stub(permission, 'getPermissions');
+          permission.getPermissions.returns({456: true});
+
+          permission.test(req, function (err, allow) {
+            expect(allow).to.be.true;
+            done();
+          });
+        });
+
+        it('passes errors on to the callback', function (done) {
+          var error = new Error('test failed');
+          var permission = new Permission(456, false, function (req, cb) {
+            process.nextTick(function () {
+              cb(error);
+            });
+          });
+
+          sinon.stub(permission, 'getPermissions');
+          permission.getPermissions.returns({456: true});
+
+          permission.test(req, function (err) {
+            expect(err).to.equal(error);
+            done();
+          });
+        });
+
+        it('passes thrown errors to the callback', function (done) {
+          /* jshint unused:false */
+          var error = new Error('test failed');
+          var permission = new Permission(456, false, function (req, cb) {
+            throw error;
+          });
+
+          sinon.stub(permission, 'getPermissions');
+          permission.getPermissions.returns({456: true});
+
+          permission.test(req, function (err) {
+            expect(err).to.equal(error);
+            done();
+          });
+        });
       });
-    });
 
 
-    describe('#getPermissions()', function () {
-      it('is accessible', function () {
-        expect(permission.getPermissions).to.be.defined;
+      describe('with promise-returning test function', function () {
+        var test;
+        var permission;
+
+        beforeEach(function () {
+          test = sinon.stub();
+          permission = new Permission(456, false, test);
+          sinon.stub(permission, 'getPermissions');
+          permission.getPermissions.returns({456: true});
+        });
+
+        it('passes the resolved value to the callback', function (done) {
+          test.returns(Promise.resolve(false));
+
+          permission.test(req, function (err, allow) {
+            expect(err).to.not.exist;
+            expect(allow).to.be.false;
+            done();
+          });
+        });
+
+        it('passes the rejection reason to the callback', function (done) {
+          var error = new Error('test failed');
+          test.returns(Promise.reject(error));
+
+          permission.test(req, function (err) {
+            expect(err).to.equal(error);
+            done();
+          });
+        });
+
+        it('ignores the arity of the test function', function (done) {
+          /* jshint unused:false */
+          var permission = new Permission(789, false, function (req, cb) {
+            return Promise.resolve(true);
+          });
+
+          sinon.stub(permission, 'getPermissions');
+          permission.getPermissions.returns({789: true});
+
+          permission.test(req, function (err, allow) {
+            expect(allow).to.be.true;
+            done();
+          });
+        });
+      });
+
+
+      describe('without a callback', function () {
+        it('returns a promise for the result', function () {
+          var result = permission.test(req);
+          expect(result).to.be.instanceof(Promise);
+
+          return result.then(function (allow) {
+            expect(allow).to.be.true;
+          });
+        });
+
+        it('rejects the promise on errors', function () {
+          var error = new Error('lookup failed');
+          permission.getPermissions.throws(error);
+
+          return permission.test(req).then(function () {
+            throw(new Error('Expected the promise to be rejected'));
+          }, function (err) {
+            expect(err).to.equal(error);
+          });
+        });
       });
+    });
+
 
+    describe('#explain()', function () {
       it('is a function', function () {
-        expect(permission.getPermissions).to.be.a('function');
+        expect(permission.explain).to.be.a('function');
       });
 
-      // Permission is supposed to be subclassed and #getPermissions() should
-      // be implemented on these subclasses.
-      it('throws an error', function () {
-        var permission = new Permission(456);
+      it('reports the value found in the permission set', function (done) {
+        permission.getPermissions.returns({123: false});
+
+        permission.explain(req, function (err, decision) {
+          expect(err).to.not.exist;
+          expect(decision).to.deep.equal({
+            type: 'permission',
+            code: 123,
+            value: false,
+            defaultApplied: false,
+            allowed: false
+          });
+          done();
+        });
+      });
 
-        function callGetPermissions() {
-          permission.getPermissions();
-        }
+      it('reports whether the test passed as a boolean', function () {
+        var owner = {id: 1};
+        var permission = new Permission(456, false, function (req) {
+          return req.post && req.post.owner;
+        });
 
-        expect(callGetPermissions).to.throw(/^Not implemented/);
+        sinon.stub(permission, 'getPermissions').returns({456: true});
+
+        return Promise.all([
+          permission.explain({}),
+          permission.explain({post: {owner: owner}})
+        ]).then(function (results) {
+          expect(results[0].test).to.be.undefined;
+          expect(results[0].allowed).to.equal(false);
+          expect(results[1].test).to.equal(owner);
+          expect(results[1].allowed).to.equal(true);
+        });
       });
-    });
-  });
 
+      it('reports whether the default value was applied', function (done) {
+        var permission = new Permission(456, true);
+        sinon.stub(permission, 'getPermissions');
+        permission.getPermissions.returns({});
 
-  describe('.create()', function () {
-    it('is accessible', function () {
-      expect(Permission.create).to.be.defined;
-    });
+        permission.explain(req, function (err, decision) {
+          expect(decision.value).to.be.undefined;
+          expect(decision.defaultApplied).to.be.true;
+          expect(decision.allowed).to.be.true;
+          done();
+        });
+      });
 
-    it('is a function', function () {
-      expect(Permission.create).to.be.a('function');
-    });
+      it('reports the result of the test function', function (done) {
+        var permission = new Permission(456, false, function () {
+          return false;
+        });
 
-    it('returns a function', function () {
-      var result = Permission.create(function () {});
-      expect(result).to.be.a('function');
+        sinon.stub(permission, 'getPermissions');
+        permission.getPermissions.returns({456: true});
+
+        permission.explain(req, function (err, decision) {
+          expect(decision.value).to.be.true;
+          expect(decision.test).to.be.false;
+          expect(decision.allowed).to.be.false;
+          done();
+        });
+      });
+
+      it('returns a promise if no callback is given', function () {
+        permission.getPermissions.returns({123: true});
+
+        return permission.explain(req).then(function (decision) {
+          expect(decision.allowed).to.be.true;
+        });
+      });
     });
 
-    describe('created subclass', function () {
-      var getter;
-      var SubPermission;
+
+    describe('caching', function () {
+      var test;
+      var permission;
 
       beforeEach(function () {
-        getter = sinon.stub();
-        SubPermission = Permission.create(getter);
+        test = sinon.stub().returns(true);
+        permission = new Permission(456, false, test);
+        sinon.stub(permission, 'getPermissions');
+        permission.getPermissions.returns({456: true});
       });
 
-      it('is a constructor', function () {
-        expect(SubPermission).to.be.a('function');
-        expect(new SubPermission(456, false)).to.be.instanceof(SubPermission);
-      });
+      it('reuses the decision for the same request', function (done) {
+        var req = {};
 
-      it('is a subclass of Permission', function () {
-        expect(SubPermission).to.be.a('function');
-        var sub = new SubPermission(456, false);
-        expect(sub).to.be.instanceof(Permission);
+        permission.test(req, function (err, allow) {
+          expect(allow).to.be.true;
+          permission.getPermissions.returns({456: false});
+
+          permission.test(req, function (err, allow) {
+            expect(allow).to.be.true;
+            expect(permission.getPermissions).to.have.been.calledOnce;
+            expect(test).to.have.been.calledOnce;
+            done();
+          });
+        });
       });
 
-      it('uses the given permissions getter', function () {
-        var sub = new SubPermission(456, false);
-        expect(sub.getPermissions).to.equal(getter);
+      it('evaluates the permission again for other requests',
+        function (done) {
+          permission.test({}, function () {
+            permission.test({}, function () {
+              expect(permission.getPermissions).to.have.been.calledTwice;
+              expect(test).to.have.been.calledTwice;
+              done();
+            });
+          });
+        });
+
+      it('shares pending evaluations', function (done) {
+        var req = {};
+        var helper = require('./helper');
+
+        permission.getPermissions.returns(Promise.resolve({456: true}));
+
+        helper.all(permission, helper.any(permission))(req,
+          function (err, allow) {
+            expect(allow).to.be.true;
+            expect(permission.getPermissions).to.have.been.calledOnce;
+            expect(test).to.have.been.calledOnce;
+            done();
+          });
       });
 
-      it('ignores the given getter if not a function', function () {
-        var SubPermission = Permission.create('foo');
-        var sub = new SubPermission(456, false);
-        expect(sub.getPermissions).to.not.equal('foo');
+      it('does not cache errors', function (done) {
+        var req = {};
+        var error = new Error('lookup failed');
+
+        permission.getPermissions.throws(error);
+
+        permission.test(req, function (err) {
+          expect(err).to.equal(error);
+          permission.getPermissions.returns({456: true});
+
+          permission.test(req, function (err, allow) {
+            expect(err).to.not.exist;
+            expect(allow).to.be.true;
+            done();
+          });
+        });
       });
-    });
-  });
 
-});
+      it('can be turned off for a permission', function (done) {
+        var req = {};
+        var permission = new Permission(789, false, test, {cache: false});
+
+        sinon.stub(permission, 'getPermissions');
+        permission.getPermissions.returns({789: true});
 
+        permission.test(req, function () {
+          permission.test(req, function () {
+            expect(test).to.have.been.calledTwice;
+            done();
+          });
+        });
+      });
+
+      it('can be turned off for a permission type', function (done) {
+        var req = {};
+        var getter = sinon.stub().returns({789: true});
+        var SubPermission = Permission.create(getter, {cache: false});
+        var permission = new SubPermission(789);
+
+        permission.test(req, function () {
+          permission.test(req, function () {
+            expect(getter).to.have.been.calledTwice;
+            done();
+          });
+        });
+      });
+
+      it('can be cleared for a request', function (done) {
+        var req = {};
+
+        permission.test(req, function () {
+          Permission.clearCache(req);
+          permission.getPermissions.returns({456: false});
+
+          permission.test(req, function (err, allow) {
+            expect(allow).to.be.false;
+            done();
+          });
+        });
+      });
+    });
+
+
+    describe('timeout', function () {
+      var late;
+
+      beforeEach(function () {
+        late = null;
+        permission = new Permission(456, false, function (req, done) {
+          late = done;
+        }, {timeout: 10});
+        sinon.stub(permission, 'getPermissions');
+        permission.getPermissions.returns({456: true});
+      });
+
+      afterEach(function () {
+        Permission.prototype.timeout = 0;
+        Permission.prototype.onTimeout = 'error';
+      });
+
+      it('is not set by default', function () {
+        expect(new Permission(789).timeout).to.equal(0);
+      });
+
+      it('passes on a timeout error by default', function (done) {
+        permission.test(req, function (err) {
+          expect(err).to.be.an.instanceof(Error);
+          expect(err.code).to.equal('ETIMEDOUT');
+          expect(err.timeout).to.equal(10);
+          done();
+        });
+      });
+
+      it('denies the request if set to fail closed', function (done) {
+        permission.onTimeout = 'deny';
+
+        permission.explain(req, function (err, decision) {
+          expect(err).to.not.exist;
+          expect(decision).to.deep.equal({
+            type: 'permission',
+            code: 456,
+            value: true,
+            defaultApplied: false,
+            timedOut: true,
+            allowed: false
+          });
+          done();
+        });
+      });
+
+      it('ignores results reported after the timeout', function (done) {
+        var callback = sinon.spy();
+
+        permission.test(req, callback);
+
+        setTimeout(function () {
+          late(null, true);
+          expect(callback).to.have.been.calledOnce;
+          expect(callback.firstCall.args[0].code).to.equal('ETIMEDOUT');
+          done();
+        }, 20);
+      });
+
+      it('is not triggered by evaluations that complete in time',
+        function (done) {
+          var permission = new Permission(789, false, function () {
+            return true;
+          }, {timeout: 10});
+
+          sinon.stub(permission, 'getPermissions');
+          permission.getPermissions.returns({789: true});
+
+          permission.test(req, function (err, allow) {
+            expect(err).to.not.exist;
+            expect(allow).to.be.true;
+            done();
+          });
+        });
+
+      it('covers permission getters', function (done) {
+        var permission = new Permission(789, false, null, {timeout: 10});
+
+        sinon.stub(permission, 'getPermissions', function () {
+          return new Promise(function () {});
+        });
+
+        permission.test(req, function (err) {
+          expect(err.code).to.equal('ETIMEDOUT');
+          done();
+        });
+      });
+
+      it('can be set for every permission', function (done) {
+        var permission = new Permission(789, false, function (req, done) {
+          late = done;
+        });
+
+        Permission.prototype.timeout = 10;
+        Permission.prototype.onTimeout = 'deny';
+        sinon.stub(permission, 'getPermissions');
+        permission.getPermissions.returns({789: true});
+
+        permission.test(req, function (err, allow) {
+          expect(err).to.not.exist;
+          expect(allow).to.be.false;
+          done();
+        });
+      });
+
+      it('throws an error if the timeout is invalid', function () {
+        function withInvalidTimeout() {
+          return new Permission(789, false, null, {timeout: -1});
+        }
+
+        expect(withInvalidTimeout).to.throw('Invalid permission timeout: -1');
+      });
+
+      it('throws an error if the timeout behaviour is invalid', function () {
+        function withInvalidBehaviour() {
+          return new Permission(789, false, null, {onTimeout: 'allow'});
+        }
+
+        expect(withInvalidBehaviour)
+          .to.throw('Invalid timeout behaviour: allow');
+      });
+    });
+
+
+    describe('#loadPermissions()', function () {
+      describe('with validateSets', function () {
+        it('passes on an error listing the problems', function (done) {
+          permission.validateSets = true;
+          permission.getPermissions.returns({123: 1, 12: true});
+
+          permission.loadPermissions(req, function (err) {
+            expect(err.message).to.equal('Invalid permission set: ' +
+              'Unknown permission code: 12; ' +
+              'Invalid value for permission 123: 1');
+            expect(err.problems).to.have.length(2);
+            done();
+          });
+        });
+
+        it('passes the problems to the given function', function (done) {
+          var validateSets = sinon.spy();
+
+          permission.validateSets = validateSets;
+          permission.getPermissions.returns({12: true});
+
+          permission.loadPermissions(req, function (err, permissions) {
+            expect(err).to.not.exist;
+            expect(permissions).to.deep.equal({12: true});
+            expect(validateSets).to.have.been.calledWith([{
+              code: '12',
+              problem: 'unknown-code',
+              message: 'Unknown permission code: 12'
+            }], req);
+            done();
+          });
+        });
+
+        it('accepts valid permission sets', function (done) {
+          var SubPermission = Permission.create(function () {
+            return {456: true};
+          }, {validateSets: true});
+
+          new SubPermission(456).loadPermissions(req,
+            function (err, permissions) {
+              expect(err).to.not.exist;
+              expect(permissions).to.deep.equal({456: true});
+              done();
+            });
+        });
+      });
+
+
+      it('is a function', function () {
+        expect(permission.loadPermissions).to.be.a('function');
+      });
+
+      it('accepts a permission set returned synchronously', function (done) {
+        permission.getPermissions.returns({123: true});
+
+        permission.loadPermissions(req, function (err, permissions) {
+          expect(err).to.not.exist;
+          expect(permissions).to.deep.equal({123: true});
+          done();
+        });
+      });
+
+      it('waits for a promise returned by the getter', function (done) {
+        permission.getPermissions.returns(Promise.resolve({123: true}));
+
+        permission.loadPermissions(req, function (err, permissions) {
+          expect(err).to.not.exist;
+          expect(permissions).to.deep.equal({123: true});
+          done();
+        });
+      });
+
+      it('passes on the reason of a rejected promise', function (done) {
+        var error = new Error('lookup failed');
+        permission.getPermissions.returns(Promise.reject(error));
+
+        permission.loadPermissions(req, function (err) {
+          expect(err).to.equal(error);
+          done();
+        });
+      });
+
+      it('passes a callback to getters that accept one', function (done) {
+        var AsyncPermission = Permission.create(function (req, cb) {
+          process.nextTick(function () {
+            cb(null, {456: true});
+          });
+        });
+
+        var permission = new AsyncPermission(456);
+
+        permission.loadPermissions(req, function (err, permissions) {
+          expect(err).to.not.exist;
+          expect(permissions).to.deep.equal({456: true});
+          done();
+        });
+      });
+    });
+
+
+    describe('with async permission getter', function () {
+      it('waits for a promised permission set', function (done) {
+        permission.getPermissions.returns(Promise.resolve({123: true}));
+
+        permission.test(req, function (err, allow) {
+          expect(allow).to.be.true;
+          done();
+        });
+      });
+
+      it('waits for a permission set given to the callback', function (done) {
+        var AsyncPermission = Permission.create(function (req, cb) {
+          process.nextTick(function () {
+            cb(null, {456: false});
+          });
+        });
+
+        var permission = new AsyncPermission(456, true);
+
+        permission.test(req, function (err, allow) {
+          expect(allow).to.be.false;
+          done();
+        });
+      });
+
+      it('passes on lookup errors', function (done) {
+        var error = new Error('lookup failed');
+        var AsyncPermission = Permission.create(function (req, cb) {
+          cb(error);
+        });
+
+        var permission = new AsyncPermission(456, true);
+
+        permission.test(req, function (err, allow) {
+          expect(err).to.equal(error);
+          expect(allow).to.not.be.ok;
+          done();
+        });
+      });
+
+      it('passes on errors thrown by the getter', function (done) {
+        var error = new Error('lookup failed');
+        permission.getPermissions.throws(error);
+
+        permission.test(req, function (err) {
+          expect(err).to.equal(error);
+          done();
+        });
+      });
+    });
+
+
+    describe('#getPermissions()', function () {
+      it('is accessible', function () {
+        expect(permission.getPermissions).to.be.defined;
+      });
+
+      it('is a function', function () {
+        expect(permission.getPermissions).to.be.a('function');
+      });
+
+      // Permission is supposed to be subclassed and #getPermissions() should
+      // be implemented on these subclasses.
+      it('throws an error', function () {
+        var permission = new Permission(456);
+
+        function callGetPermissions() {
+          permission.getPermissions();
+        }
+
+        expect(callGetPermissions).to.throw(/^Not implemented/);
+      });
+    });
+  });
+
+
+  describe('.match()', function () {
+    it('returns the code if it is explicitly in the set', function () {
+      expect(Permission.match({'post:edit': false, '*': true}, 'post:edit'))
+        .to.equal('post:edit');
+      expect(Permission.match({12: true}, 12)).to.equal(12);
+    });
+
+    it('returns the most specific wildcard entry', function () {
+      var permissions = {'*': true, 'post:*': false, 'post:comment:*': true};
+      expect(Permission.match(permissions, 'post:comment:edit'))
+        .to.equal('post:comment:*');
+      expect(Permission.match(permissions, 'post:edit')).to.equal('post:*');
+      expect(Permission.match(permissions, 'user:edit')).to.equal('*');
+      expect(Permission.match(permissions, 12)).to.equal('*');
+    });
+
+    it('returns undefined if no entry applies', function () {
+      expect(Permission.match({'post:*': true}, 'user:edit')).to.be.undefined;
+      expect(Permission.match({12: undefined}, 12)).to.be.undefined;
+    });
+  });
+
+
+  describe('.validate()', function () {
+    var UserPermission;
+    var ClientPermission;
+
+    beforeEach(function () {
+      UserPermission = Permission.create(null);
+      ClientPermission = Permission.create(null);
+
+      new UserPermission(21);
+      new UserPermission('post:edit');
+      new ClientPermission(31);
+    });
+
+    it('accepts valid permission sets', function () {
+      expect(Permission.validate({21: true, 31: false, 123: true}))
+        .to.deep.equal([]);
+    });
+
+    it('reports unknown codes', function () {
+      expect(Permission.validate({12: true})).to.deep.equal([{
+        code: '12',
+        problem: 'unknown-code',
+        message: 'Unknown permission code: 12'
+      }]);
+    });
+
+    it('reports non-boolean values', function () {
+      expect(Permission.validate({21: 'yes'})).to.deep.equal([{
+        code: '21',
+        problem: 'invalid-value',
+        message: 'Invalid value for permission 21: "yes"'
+      }]);
+    });
+
+    it('reports entries for permissions of other types', function () {
+      expect(UserPermission.validate({21: true, 31: true})).to.deep.equal([{
+        code: '31',
+        problem: 'wrong-type',
+        message: 'Permission of another type: 31'
+      }]);
+    });
+
+    it('accepts wildcards matching registered codes', function () {
+      expect(UserPermission.validate({'post:*': true, '*': false}))
+        .to.deep.equal([]);
+      expect(UserPermission.validate({'user:*': true})[0].problem)
+        .to.equal('unknown-code');
+    });
+  });
+
+
+  describe('.overrideSets()', function () {
+    it('replaces the sets retrieved by the getters', function () {
+      var lookup = sinon.stub().returns({123: true});
+
+      Permission.overrideSets(req, lookup);
+
+      return permission.test(req).then(function (allow) {
+        expect(allow).to.be.true;
+        expect(lookup).to.have.been.calledWith(permission);
+        expect(permission.getPermissions).to.not.have.been.called;
+      });
+    });
+
+    it('replaces the sets of every source', function () {
+      var getter = sinon.stub().returns({456: false});
+      var Type = Permission.create({user: getter, groups: getter});
+
+      Permission.overrideSets(req, function () {
+        return {456: true};
+      });
+
+      return new Type(456).test(req).then(function (allow) {
+        expect(allow).to.be.true;
+        expect(getter).to.not.have.been.called;
+      });
+    });
+
+    it('retrieves the sets as usual if the lookup returns nothing',
+      function () {
+        permission.getPermissions.returns({123: true});
+        Permission.overrideSets(req, function () {});
+
+        return permission.test(req).then(function (allow) {
+          expect(allow).to.be.true;
+          expect(permission.getPermissions).to.have.been.calledOnce;
+        });
+      });
+
+    it('only affects the given request', function () {
+      permission.getPermissions.returns({123: false});
+      Permission.overrideSets({}, function () {
+        return {123: true};
+      });
+
+      return permission.test(req).then(function (allow) {
+        expect(allow).to.be.false;
+      });
+    });
+
+    it('removes the override if the lookup is null', function () {
+      permission.getPermissions.returns({123: false});
+      Permission.overrideSets(req, function () {
+        return {123: true};
+      });
+      Permission.overrideSets(req, null);
+
+      return permission.test(req).then(function (allow) {
+        expect(allow).to.be.false;
+      });
+    });
+
+    it('throws an error for invalid arguments', function () {
+      expect(function () {
+        return Permission.overrideSets(null, function () {});
+      }).to.throw('Invalid request: null');
+
+      expect(function () {
+        return Permission.overrideSets(req, {123: true});
+      }).to.throw('Invalid permission set lookup');
+    });
+  });
+
+
+  describe('.scope()', function () {
+    var scope;
+
+    beforeEach(function () {
+      req.user = {id: 1};
+      scope = Permission.scope(req);
+    });
+
+    it('creates requests inheriting from the given one', function () {
+      var scoped = scope({post: {id: 2}});
+
+      expect(Object.getPrototypeOf(scoped)).to.equal(req);
+      expect(scoped.user).to.equal(req.user);
+      expect(scoped.post).to.deep.equal({id: 2});
+      expect(req).to.not.have.property('post');
+    });
+
+    it('retrieves the permission sets of each scoped request', function () {
+      var permission = new Permission(456);
+
+      sinon.stub(permission, 'getPermissions', function (req) {
+        return req.post.permissions;
+      });
+
+      return Promise.all([
+        permission.test(scope({post: {permissions: {456: true}}})),
+        permission.test(scope({post: {permissions: {456: false}}}))
+      ]).then(function (results) {
+        expect(results).to.deep.equal([true, false]);
+        expect(permission.getPermissions).to.have.been.calledTwice;
+      });
+    });
+
+    describe('with the `shareSets` option', function () {
+      beforeEach(function () {
+        scope = Permission.scope(req, {shareSets: true});
+      });
+
+      it('retrieves the permission set once for the given request',
+        function () {
+          var permission = new Permission(456, false, function (req) {
+            return req.post.id === 2;
+          });
+
+          sinon.stub(permission, 'getPermissions').returns({456: true});
+
+          return Promise.all([
+            permission.test(scope({post: {id: 2}})),
+            permission.test(scope({post: {id: 3}}))
+          ]).then(function (results) {
+            expect(results).to.deep.equal([true, false]);
+            expect(permission.getPermissions).to.have.been.calledOnce;
+            expect(permission.getPermissions).to.have.been.calledWith(req);
+          });
+        });
+
+      it('shares lookup errors', function () {
+        var error = new Error('lookup failed');
+
+        permission.getPermissions.throws(error);
+
+        return Promise.all([
+          permission.test(scope({})).catch(function (err) { return err; }),
+          permission.test(scope({})).catch(function (err) { return err; })
+        ]).then(function (errors) {
+          expect(errors).to.deep.equal([error, error]);
+          expect(permission.getPermissions).to.have.been.calledOnce;
+        });
+      });
+    });
+
+    it('uses the sets overridden for the given request', function () {
+      Permission.overrideSets(req, function () {
+        return {123: true};
+      });
+
+      return permission.test(scope({})).then(function (allow) {
+        expect(allow).to.be.true;
+        expect(permission.getPermissions).to.not.have.been.called;
+      });
+    });
+
+    it('throws an error for invalid requests', function () {
+      expect(function () {
+        return Permission.scope(undefined);
+      }).to.throw('Invalid request: undefined');
+    });
+  });
+
+
+  describe('.catalog()', function () {
+    it('lists the permissions in the default registry', function () {
+      expect(Permission.catalog()).to.deep.equal([{
+        code: 123,
+        allowedByDefault: false,
+        test: false
+      }]);
+    });
+  });
+
+
+  describe('conditional grants', function () {
+    var HOUR = 60 * 60 * 1000;
+
+    function test(value, req) {
+      permission.getPermissions.returns({123: value});
+      return permission.explain(req || {});
+    }
+
+    it('grant permissions while in effect', function () {
+      var grant = {
+        notBefore: new Date(Date.now() - HOUR),
+        expiresAt: new Date(Date.now() + HOUR).toISOString()
+      };
+
+      return test(grant).then(function (decision) {
+        expect(decision.allowed).to.be.true;
+        expect(decision.value).to.be.true;
+        expect(decision.grant).to.equal(grant);
+      });
+    });
+
+    it('are ignored once expired', function () {
+      return test({expiresAt: Date.now() - HOUR}).then(function (decision) {
+        expect(decision.allowed).to.be.false;
+        expect(decision.defaultApplied).to.be.true;
+      });
+    });
+
+    it('are ignored before they start', function () {
+      return test({notBefore: Date.now() + HOUR}).then(function (decision) {
+        expect(decision.allowed).to.be.false;
+      });
+    });
+
+    it('fall back to less specific entries when not in effect', function () {
+      var permission = new Permission('post:edit');
+
+      sinon.stub(permission, 'getPermissions').returns({
+        'post:*': true,
+        'post:edit': {granted: false, expiresAt: Date.now() - HOUR}
+      });
+
+      return permission.explain({}).then(function (decision) {
+        expect(decision.allowed).to.be.true;
+        expect(decision.wildcard).to.equal('post:*');
+      });
+    });
+
+    it('may revoke permissions', function () {
+      permission.allowedByDefault = true;
+
+      return test({granted: false}).then(function (decision) {
+        expect(decision.allowed).to.be.false;
+      });
+    });
+
+    it('check constraints against the request', function () {
+      var grant = {
+        constraints: {
+          'params.postId': [12, 13],
+          'user.organization': 'acme'
+        }
+      };
+      var req = {params: {postId: '12'}, user: {organization: 'acme'}};
+
+      return Promise.all([
+        test(grant, req),
+        test(grant, {params: {postId: '14'}, user: {organization: 'acme'}}),
+        test(grant, {params: {postId: '12'}})
+      ]).then(function (decisions) {
+        expect(decisions[0].allowed).to.be.true;
+        expect(decisions[1].allowed).to.be.false;
+        expect(decisions[2].allowed).to.be.false;
+      });
+    });
+
+    it('deny permissions if invalid', function () {
+      var permission = new Permission('post:edit', true);
+
+      sinon.stub(permission, 'getPermissions').returns({
+        'post:*': true,
+        'post:edit': {until: 'Friday'}
+      });
+
+      return permission.explain({}).then(function (decision) {
+        expect(decision.allowed).to.be.false;
+        expect(decision.value).to.be.false;
+        expect(decision.defaultApplied).to.be.false;
+        expect(decision.wildcard).to.be.undefined;
+      });
+    });
+
+    it('are resolved in sets without a prototype', function () {
+      var permissions = Object.create(null);
+
+      permissions[123] = {expiresAt: Date.now() + HOUR};
+      permission.getPermissions.returns(permissions);
+
+      return permission.explain({}).then(function (decision) {
+        expect(decision.allowed).to.be.true;
+      });
+    });
+
+    it('pass errors raised while resolving them on', function () {
+      var error = new Error('broken set');
+      var permissions = {};
+
+      Object.defineProperty(permissions, '123', {
+        enumerable: true,
+        get: function () {
+          throw error;
+        }
+      });
+      permission.getPermissions.returns(permissions);
+
+      return permission.explain({}).then(function () {
+        throw(new Error('Expected the promise to be rejected'));
+      }, function (err) {
+        expect(err).to.equal(error);
+      });
+    });
+
+    it('are accepted by the validator', function () {
+      expect(Permission.validate({
+        123: {expiresAt: '2026-10-23', constraints: {'user.id': 1}}
+      })).to.deep.equal([]);
+      expect(Permission.validate({123: {expiresAt: 'Friday'}})[0].problem)
+        .to.equal('invalid-value');
+    });
+  });
+
+
+  describe('.isActive()', function () {
+    it('checks the period against the given time', function () {
+      var grant = {notBefore: 100, expiresAt: 200};
+
+      expect(Permission.isActive(grant, {}, 99)).to.be.false;
+      expect(Permission.isActive(grant, {}, 100)).to.be.true;
+      expect(Permission.isActive(grant, {}, 200)).to.be.false;
+    });
+  });
+
+
+  describe('.create()', function () {
+    it('is accessible', function () {
+      expect(Permission.create).to.be.defined;
+    });
+
+    it('is a function', function () {
+      expect(Permission.create).to.be.a('function');
+    });
+
+    it('returns a function', function () {
+      var result = Permission.create(function () {});
+      expect(result).to.be.a('function');
+    });
+
+    describe('created subclass', function () {
+      var getter;
+      var SubPermission;
+
+      beforeEach(function () {
+        getter = sinon.stub();
+        SubPermission = Permission.create(getter);
+      });
+
+      it('is a constructor', function () {
+        expect(SubPermission).to.be.a('function');
+        expect(new SubPermission(456, false)).to.be.instanceof(SubPermission);
+      });
+
+      it('is a subclass of Permission', function () {
+        expect(SubPermission).to.be.a('function');
+        var sub = new SubPermission(456, false);
+        expect(sub).to.be.instanceof(Permission);
+      });
+
+      it('uses the given permissions getter', function () {
+        var sub = new SubPermission(456, false);
+        expect(sub.getPermissions).to.equal(getter);
+      });
+
+      it('uses the default registry', function () {
+        var sub = new SubPermission(456, false);
+        expect(sub.registry).to.equal(Permission.registry);
+        expect(Permission.registry.get(456)).to.equal(sub);
+      });
+
+      it('sets the agent type of its permissions', function () {
+        var UserPermission = Permission.create(getter, {agentType: 'user'});
+        var user = new UserPermission(456);
+        var client = new UserPermission(789, false, null, {
+          agentType: 'client'
+        });
+
+        expect(user.agentType).to.equal('user');
+        expect(client.agentType).to.equal('client');
+        expect(new SubPermission(1).agentType).to.be.undefined;
+      });
+
+      it('ignores the given getter if not a function', function () {
+        var SubPermission = Permission.create('foo');
+        var sub = new SubPermission(456, false);
+        expect(sub.getPermissions).to.not.equal('foo');
+      });
+    });
+  });
+
+
+  describe('.create() with multiple sources', function () {
+    var sources;
+
+    function type(combine) {
+      return Permission.create({
+        user: function () { return sources.user; },
+        groups: function () { return Promise.resolve(sources.groups); },
+        organization: function (req, done) {
+          done(null, sources.organization);
+        }
+      }, {combine: combine});
+    }
+
+    function explain(Type, code) {
+      return new Type(code).explain({});
+    }
+
+    beforeEach(function () {
+      sources = {
+        user: {1: true},
+        groups: {1: false, 2: true},
+        organization: {'*': true, 2: false}
+      };
+    });
+
+    it('revokes permissions revoked by any source by default', function () {
+      return explain(type(), 1).then(function (decision) {
+        expect(decision.allowed).to.be.false;
+        expect(decision.value).to.be.false;
+        expect(decision.source).to.equal('groups');
+      });
+    });
+
+    it('grants permissions granted by any source with allow-overrides',
+      function () {
+        return explain(type('allow-overrides'), 2).then(function (decision) {
+          expect(decision.allowed).to.be.true;
+          expect(decision.source).to.equal('groups');
+        });
+      });
+
+    it('uses the first source with an entry with first-applicable',
+      function () {
+        var Type = type('first-applicable');
+
+        return Promise.all([
+          explain(Type, 1),
+          explain(Type, 3)
+        ]).then(function (decisions) {
+          expect(decisions[0].allowed).to.be.true;
+          expect(decisions[0].source).to.equal('user');
+          expect(decisions[1].allowed).to.be.true;
+          expect(decisions[1].source).to.equal('organization');
+          expect(decisions[1].wildcard).to.equal('*');
+        });
+      });
+
+    it('applies the default value if no source has an entry', function () {
+      sources.organization = null;
+
+      return new (type())(3, true).explain({}).then(function (decision) {
+        expect(decision.allowed).to.be.true;
+        expect(decision.defaultApplied).to.be.true;
+        expect(decision).to.not.have.property('source');
+      });
+    });
+
+    it('names array sources by their index', function () {
+      var Type = Permission.create([
+        function () { return {}; },
+        function () { return {1: true}; }
+      ]);
+
+      return explain(Type, 1).then(function (decision) {
+        expect(decision.source).to.equal(1);
+      });
+    });
+
+    it('passes on errors from any source', function (done) {
+      var error = new Error('lookup failed');
+      var Type = Permission.create({
+        user: function () { return {1: true}; },
+        groups: function () { throw error; }
+      });
+
+      new Type(1).test({}, function (err) {
+        expect(err).to.equal(error);
+        done();
+      });
+    });
+
+    it('merges the sets in getPermissions()', function (done) {
+      new (type())(1).loadPermissions({}, function (err, permissions) {
+        expect(err).to.not.exist;
+        expect(permissions).to.deep.equal({1: false, 2: false, '*': true});
+        done();
+      });
+    });
+
+    it('resolves conditional grants before merging the sets', function (done) {
+      var allowOverrides = new (type('allow-overrides'))(3);
+      var denyOverrides = new (type())(4);
+
+      sources = {
+        user: {3: {granted: false}, 4: {expiresAt: 0}},
+        groups: {3: true, 4: true},
+        organization: {}
+      };
+
+      allowOverrides.loadPermissions({}, function (err, permissions) {
+        expect(err).to.not.exist;
+        expect(permissions[3]).to.be.true;
+
+        denyOverrides.loadPermissions({}, function (err, permissions) {
+          expect(err).to.not.exist;
+          expect(permissions[4]).to.be.true;
+
+          Promise.all([
+            allowOverrides.test({}),
+            denyOverrides.test({})
+          ]).then(function (results) {
+            expect(results).to.deep.equal([true, true]);
+            done();
+          }).catch(done);
+        });
+      });
+    });
+
+    it('throws an error if a source is not a function', function () {
+      function withInvalidSource() {
+        return Permission.create({user: 'permissions'});
+      }
+
+      expect(withInvalidSource).to.throw('Invalid permission source: user');
+    });
+
+    it('throws an error if the combining policy is invalid', function () {
+      expect(function () {
+        return type('majority');
+      }).to.throw('Invalid combining policy: majority');
+    });
+  });
+
+
+  describe('.create() with a registry', function () {
+    var Registry = require('./registry');
+    var registry;
+    var SubPermission;
+
+    beforeEach(function () {
+      registry = new Registry();
+      SubPermission = Permission.create(sinon.stub(), {registry: registry});
+    });
+
+    it('registers permissions in the given registry', function () {
+      var sub = new SubPermission(456, false);
+      expect(registry.get(456)).to.equal(sub);
+      expect(Permission.registry.has(456)).to.be.false;
+    });
+
+    it('checks for duplicate codes within the registry', function () {
+      new SubPermission(456);
+
+      function reuseCode() {
+        return new SubPermission(456);
+      }
+
+      expect(reuseCode).to.throw('Duplicate permission code: 456');
+    });
+
+    it('allows codes used in other registries', function () {
+      function reuseCode() {
+        return new SubPermission(123);
+      }
+
+      expect(reuseCode).to.not.throw();
+    });
+  });
+});
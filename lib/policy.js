@@ -0,0 +1,307 @@
+'use strict';
+/* jshint latedef:false */
+
+var helper = require('./helper');
+var Permission = require('./permission');
+
+
+/**
+ * Operators of composite expressions, mapped to the helpers building them.
+ * @type {Object.<String, function>}
+ * @private
+ */
+var OPERATORS = {
+  has: helper.has,
+  all: helper.all,
+  any: helper.any,
+  not: helper.not,
+  none: helper.none,
+  atLeast: helper.atLeast
+};
+
+/**
+ * Options that may be given along with a composite's operator.
+ * @type {Array.<String>}
+ * @private
+ */
+var COMPOSITE_OPTIONS = ['order', 'cost', 'timeout', 'onTimeout'];
+
+/**
+ * Options of permission entries passed on to the `Permission` constructor.
+ * @type {Array.<String>}
+ * @private
+ */
+var PERMISSION_OPTIONS = [
+  'name', 'description', 'category', 'agentType', 'cache', 'cost', 'timeout',
+  'onTimeout', 'validateSets'
+];
+
+/**
+ * Options of type entries passed on to {@link Permission.create}.
+ * @type {Array.<String>}
+ * @private
+ */
+var TYPE_OPTIONS = ['agentType', 'cache', 'combine', 'validateSets'];
+
+
+
+/**
+ * Builds the permissions and composites described by a JSON policy
+ * document, so they can be defined per deployment instead of in the code:
+ *
+ *    {
+ *      "types": {
+ *        "user": {"agentType": "user"}
+ *      },
+ *      "permissions": {
+ *        "EDIT_POST": {"type": "user", "code": "post:edit"},
+ *        "READ_POST": {"type": "user", "code": "post:read", "default": true},
+ *        "IS_OWNER": {
+ *          "type": "user",
+ *          "code": "post:own",
+ *          "default": true,
+ *          "condition": {"eq": ["post.owner", {"attr": "user.id"}]}
+ *        }
+ *      },
+ *      "composites": {
+ *        "EDIT_OWN_POST": {"all": ["EDIT_POST", "IS_OWNER"]},
+ *        "MODERATE": {"any": ["ADMIN", ["EDIT_POST", "DELETE_POST"]],
+ *                     "order": "series"}
+ *      }
+ *    }
+ *
+ * Types are created with {@link Permission.create}, using the getter given
+ * for them in `options.types` (which may also be an existing permission
+ * type). Permissions may have a `default` value, a declarative `condition`
+ * (see {@link condition}) and the options accepted by the `Permission`
+ * constructor (such as metadata).
+ *
+ * Composites are expressions made of the names of permissions or other
+ * composites, arrays (ALL clauses) and objects with a single operator (`has`,
+ * `all`, `any`, `not`, `none` or `atLeast`, whose first argument is the
+ * threshold), optionally along with composite options (`order`, `cost`,
+ * `timeout` and `onTimeout`).
+ *
+ * @param {(Object|String)} document The policy, or its JSON.
+ * @param {Object=} options
+ *
+ *  - `types`: permission getters (or existing permission types), by type
+ *    name. Required for every type used in the policy;
+ *  - `registry`: registry in which the permissions of the created types are
+ *    registered (see {@link Permission.create}).
+ *
+ * @returns {{types: Object, permissions: Object, composites: Object,
+ *  get: function(String)}} The permission types, the permissions and the
+ *  composite tests, by name. `get(name)` returns the permission or
+ *  composite with the given name.
+ * @throws {Error} If the policy is invalid.
+ */
+function load(document, options) {
+  var policy = typeof document === 'string' ? JSON.parse(document) : document;
+  var types = {};
+  var permissions = {};
+  var composites = {};
+
+  options = options || {};
+
+  if (!policy || typeof policy !== 'object') {
+    fail('expected an object');
+  }
+
+  each(policy.types, function (name, definition) {
+    types[name] = createType(name, definition, options);
+  });
+
+  try {
+    each(policy.permissions, function (name, definition) {
+      var Type = definition && types[definition.type];
+
+      if (!Type) {
+        fail('unknown type of ' + name);
+      }
+
+      permissions[name] = new Type(
+        definition.code,
+        definition['default'],
+        definition.condition,
+        pick(definition, PERMISSION_OPTIONS)
+      );
+    });
+
+    each(policy.composites, function (name) {
+      if (permissions.hasOwnProperty(name)) {
+        fail('duplicate name ' + name);
+      }
+
+      build(name, []);
+    });
+  } catch (err) {
+    // Frees the codes of the permissions created so far, so a fixed policy
+    // can be loaded again
+    Object.keys(permissions).forEach(function (name) {
+      permissions[name].registry.remove(permissions[name]);
+    });
+
+    throw err;
+  }
+
+  /**
+   * Builds a named composite, after the composites it refers to.
+   * @param {String} name
+   * @param {Array.<String>} path Names of the composites being built, used
+   *  to detect circular references.
+   * @returns {function}
+   */
+  function build(name, path) {
+    if (path.indexOf(name) !== -1) {
+      fail('circular composite ' + path.concat(name).join(' -> '));
+    }
+
+    if (!composites.hasOwnProperty(name)) {
+      composites[name] = expression(policy.composites[name],
+        path.concat(name));
+    }
+
+    return composites[name];
+  }
+
+  /**
+   * Builds the test described by a composite expression.
+   * @param {(String|Array|Object)} expr
+   * @param {Array.<String>} path
+   * @returns {(function|Permission)}
+   */
+  function expression(expr, path) {
+    var operator;
+    var args;
+
+    if (typeof expr === 'string') {
+      if (permissions.hasOwnProperty(expr)) {
+        return permissions[expr];
+      }
+
+      if (policy.composites && policy.composites.hasOwnProperty(expr)) {
+        return build(expr, path);
+      }
+
+      fail('unknown permission or composite ' + expr);
+    }
+
+    if (Array.isArray(expr)) {
+      return helper.all(expr.map(function (item) {
+        return expression(item, path);
+      }));
+    }
+
+    operator = expr && typeof expr === 'object' ?
+      Object.keys(expr).filter(function (key) {
+        return COMPOSITE_OPTIONS.indexOf(key) === -1;
+      }) :
+      [];
+
+    if (operator.length !== 1 || !OPERATORS.hasOwnProperty(operator[0])) {
+      fail('invalid composite ' + JSON.stringify(expr));
+    }
+
+    operator = operator[0];
+    args = [].concat(expr[operator]).map(function (arg, index) {
+      return operator === 'atLeast' && index === 0 ?
+        arg :
+        expression(arg, path);
+    });
+
+    if (operator !== 'has') {
+      args.push(pick(expr, COMPOSITE_OPTIONS));
+    }
+
+    return OPERATORS[operator].apply(null, args);
+  }
+
+  return {
+    types: types,
+    permissions: permissions,
+    composites: composites,
+    get: function (name) {
+      if (permissions.hasOwnProperty(name)) { return permissions[name]; }
+      if (composites.hasOwnProperty(name)) { return composites[name]; }
+      throw(new Error('Unknown policy entry: ' + name));
+    }
+  };
+}
+
+
+/**
+ * Creates the permission type described in a policy.
+ * @param {String} name
+ * @param {Object} definition
+ * @param {Object} options The loader's options.
+ * @returns {function} The permission type.
+ * @private
+ */
+function createType(name, definition, options) {
+  var getter = options.types && options.types[name];
+  var typeOptions = pick(definition, TYPE_OPTIONS);
+
+  if (!getter) {
+    fail('missing getter for type ' + name);
+  }
+
+  if (typeof getter === 'function' &&
+      (getter === Permission || getter.prototype instanceof Permission)) {
+    return getter;
+  }
+
+  if (options.registry) {
+    typeOptions.registry = options.registry;
+  }
+
+  return Permission.create(getter, typeOptions);
+}
+
+
+/**
+ * Calls `fn` with the name and definition of each entry of a policy
+ * section.
+ * @param {Object=} section
+ * @param {function(String, *)} fn
+ * @private
+ */
+function each(section, fn) {
+  Object.keys(section || {}).forEach(function (name) {
+    fn(name, section[name]);
+  });
+}
+
+
+/**
+ * Copies the given properties of an object, if defined.
+ * @param {Object} object
+ * @param {Array.<String>} keys
+ * @returns {Object}
+ * @private
+ */
+function pick(object, keys) {
+  var result = {};
+
+  keys.forEach(function (key) {
+    if (object[key] !== undefined) {
+      result[key] = object[key];
+    }
+  });
+
+  return result;
+}
+
+
+/**
+ * Throws an error about an invalid policy.
+ * @param {String} reason
+ * @private
+ */
+function fail(reason) {
+  throw(new Error('Invalid policy: ' + reason));
+}
+
+
+
+exports.load = load;
@@ -0,0 +1,219 @@
+'use strict';
+/* global describe:true, it:true */
+
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+var policy = require('./policy');
+var Permission = require('./permission');
+var Registry = require('./registry');
+
+
+describe('policy', function () {
+  var document;
+  var getUserPermissions;
+  var req;
+
+  function clearPermissionCodes() {
+    Permission.registry.reset();
+  }
+
+  before(clearPermissionCodes);
+  afterEach(clearPermissionCodes);
+
+  beforeEach(function () {
+    req = {user: {id: 1}, post: {owner: 1}};
+    getUserPermissions = sinon.stub().returns({
+      'post:edit': true,
+      'post:delete': false
+    });
+
+    document = {
+      types: {
+        user: {agentType: 'user'}
+      },
+      permissions: {
+        EDIT_POST: {type: 'user', code: 'post:edit', name: 'Edit posts'},
+        DELETE_POST: {type: 'user', code: 'post:delete'},
+        IS_OWNER: {
+          type: 'user',
+          code: 'post:own',
+          'default': true,
+          condition: {eq: ['post.owner', {attr: 'user.id'}]}
+        }
+      },
+      composites: {
+        EDIT_OWN_POST: {all: ['EDIT_POST', 'IS_OWNER']},
+        MODERATE: {any: ['DELETE_POST', 'EDIT_OWN_POST'], order: 'series'},
+        NOT_OWNER: {not: 'IS_OWNER'},
+        TWO_OF_THREE: {atLeast: [2, 'EDIT_POST', 'DELETE_POST', 'IS_OWNER']},
+        EDIT_AND_DELETE: ['EDIT_POST', 'DELETE_POST']
+      }
+    };
+  });
+
+
+  describe('.load()', function () {
+    it('creates the permission types', function () {
+      var loaded = policy.load(document, {types: {user: getUserPermissions}});
+      var User = loaded.types.user;
+
+      expect(User.prototype).to.be.instanceof(Permission);
+      expect(User.prototype.getPermissions).to.equal(getUserPermissions);
+      expect(User.prototype.agentType).to.equal('user');
+    });
+
+    it('creates the permissions', function () {
+      var loaded = policy.load(document, {types: {user: getUserPermissions}});
+      var edit = loaded.permissions.EDIT_POST;
+
+      expect(edit).to.be.instanceof(loaded.types.user);
+      expect(edit.code).to.equal('post:edit');
+      expect(edit.allowedByDefault).to.be.false;
+      expect(edit.name).to.equal('Edit posts');
+      expect(loaded.permissions.IS_OWNER.allowedByDefault).to.be.true;
+      expect(Permission.registry.get('post:edit')).to.equal(edit);
+    });
+
+    it('builds the composites', function () {
+      var loaded = policy.load(document, {types: {user: getUserPermissions}});
+      var composites = loaded.composites;
+
+      return Promise.all([
+        composites.EDIT_OWN_POST(req),
+        composites.MODERATE(req),
+        composites.NOT_OWNER(req),
+        composites.TWO_OF_THREE(req),
+        composites.EDIT_AND_DELETE(req),
+        composites.EDIT_OWN_POST({user: {id: 2}, post: {owner: 1}})
+      ]).then(function (results) {
+        expect(results).to.deep.equal([true, true, false, true, false, false]);
+      });
+    });
+
+    it('passes the options on to composites', function () {
+      var loaded = policy.load(document, {types: {user: getUserPermissions}});
+
+      return loaded.composites.MODERATE.explain(req).then(function (decision) {
+        // Evaluated in series, stopping at the first granted permission
+        expect(decision.children).to.have.length(2);
+        expect(decision.children[0].allowed).to.be.false;
+      });
+    });
+
+    it('accepts JSON', function () {
+      var loaded = policy.load(JSON.stringify(document), {
+        types: {user: getUserPermissions}
+      });
+
+      expect(loaded.permissions.EDIT_POST.code).to.equal('post:edit');
+    });
+
+    it('accepts existing permission types', function () {
+      var User = Permission.create(getUserPermissions);
+      var loaded = policy.load(document, {types: {user: User}});
+
+      expect(loaded.types.user).to.equal(User);
+      expect(loaded.permissions.EDIT_POST).to.be.instanceof(User);
+    });
+
+    it('registers the permissions in the given registry', function () {
+      var registry = new Registry();
+
+      policy.load(document, {
+        types: {user: getUserPermissions},
+        registry: registry
+      });
+
+      expect(registry.codes()).to.deep.equal([
+        'post:edit', 'post:delete', 'post:own'
+      ]);
+      expect(Permission.registry.codes()).to.be.empty;
+    });
+
+    it('throws an error if a type has no getter', function () {
+      expect(function () {
+        return policy.load(document);
+      }).to.throw('Invalid policy: missing getter for type user');
+    });
+
+    it('throws an error for unknown types', function () {
+      document.permissions.EDIT_POST.type = 'client';
+
+      expect(function () {
+        return policy.load(document, {types: {user: getUserPermissions}});
+      }).to.throw('Invalid policy: unknown type of EDIT_POST');
+    });
+
+    it('throws an error for unknown names in composites', function () {
+      document.composites.EDIT_OWN_POST.all.push('PUBLISH_POST');
+
+      expect(function () {
+        return policy.load(document, {types: {user: getUserPermissions}});
+      }).to.throw('Invalid policy: unknown permission or composite ' +
+        'PUBLISH_POST');
+    });
+
+    it('throws an error for invalid composites', function () {
+      document.composites.MODERATE = {some: ['EDIT_POST']};
+
+      expect(function () {
+        return policy.load(document, {types: {user: getUserPermissions}});
+      }).to.throw('Invalid policy: invalid composite {"some":["EDIT_POST"]}');
+    });
+
+    it('throws an error for circular composites', function () {
+      document.composites = {
+        A: {any: ['EDIT_POST', 'B']},
+        B: {all: ['A']}
+      };
+
+      expect(function () {
+        return policy.load(document, {types: {user: getUserPermissions}});
+      }).to.throw('Invalid policy: circular composite A -> B -> A');
+    });
+
+    it('throws an error if a composite has the name of a permission',
+      function () {
+        document.composites.EDIT_POST = ['DELETE_POST'];
+
+        expect(function () {
+          return policy.load(document, {types: {user: getUserPermissions}});
+        }).to.throw('Invalid policy: duplicate name EDIT_POST');
+      });
+
+    it('frees the codes of the permissions if loading fails', function () {
+      document.composites.MODERATE = {some: []};
+
+      expect(function () {
+        return policy.load(document, {types: {user: getUserPermissions}});
+      }).to.throw('Invalid policy');
+      expect(Permission.registry.codes()).to.be.empty;
+    });
+  });
+
+
+  describe('loaded policy', function () {
+    describe('#get()', function () {
+      it('returns permissions and composites by name', function () {
+        var loaded = policy.load(document, {
+          types: {user: getUserPermissions}
+        });
+
+        expect(loaded.get('EDIT_POST')).to.equal(loaded.permissions.EDIT_POST);
+        expect(loaded.get('MODERATE')).to.equal(loaded.composites.MODERATE);
+      });
+
+      it('throws an error for unknown names', function () {
+        var loaded = policy.load(document, {
+          types: {user: getUserPermissions}
+        });
+
+        expect(function () {
+          return loaded.get('PUBLISH_POST');
+        }).to.throw('Unknown policy entry: PUBLISH_POST');
+      });
+    });
+  });
+});
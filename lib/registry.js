@@ -0,0 +1,162 @@
+'use strict';
+
+
+/**
+ * Defines the `Registry` constructor, used to keep track of the permissions
+ * defined in an application and to ensure their codes are unique.
+ *
+ * @module registry
+ * @type {Function}
+ * @constructor
+ */
+
+
+
+/**
+ * A collection of permissions, indexed by their codes.
+ *
+ * Every permission is added to a registry when created. Unless bound to
+ * another registry (see {@link Permission.create}), permission types use the
+ * default registry, available as `Permission.registry`.
+ *
+ * @constructor
+ */
+function Registry() {
+  if (!(this instanceof Registry)) {
+    return new Registry();
+  }
+
+  /**
+   * Registered permissions, in registration order.
+   * @type {Array.<Permission>}
+   * @private
+   */
+  this._permissions = [];
+}
+
+
+/**
+ * Adds a permission to the registry.
+ * @param {Permission} permission
+ * @throws {Error} If the permission's code is already in use.
+ */
+Registry.prototype.add = function (permission) {
+  if (this.has(permission.code)) {
+    throw(new Error('Duplicate permission code: ' + permission.code));
+  }
+
+  this._permissions.push(permission);
+};
+
+
+/**
+ * Gets the permission with the given code.
+ * @param {(String|Number)} code
+ * @returns {(Permission|undefined)}
+ */
+Registry.prototype.get = function (code) {
+  var i = this._indexOf(code);
+  return i === -1 ? undefined : this._permissions[i];
+};
+
+
+/**
+ * Checks if the given code is already in use by a registered permission.
+ * @param {(String|Number)} code
+ * @returns {Boolean}
+ */
+Registry.prototype.has = function (code) {
+  return this._indexOf(code) !== -1;
+};
+
+
+/**
+ * Removes a permission from the registry, freeing its code.
+ * @param {(String|Number|Permission)} code The code of the permission to be
+ *  removed or the permission itself.
+ * @returns {Boolean} Whether a permission was removed.
+ */
+Registry.prototype.remove = function (code) {
+  var i;
+
+  if (code && typeof code === 'object') {
+    i = this._permissions.indexOf(code);
+  } else {
+    i = this._indexOf(code);
+  }
+
+  if (i === -1) {
+    return false;
+  }
+
+  this._permissions.splice(i, 1);
+  return true;
+};
+
+
+/**
+ * Removes every permission from the registry.
+ */
+Registry.prototype.reset = function () {
+  this._permissions = [];
+};
+
+
+/**
+ * Lists the registered permissions.
+ * @returns {Array.<Permission>}
+ */
+Registry.prototype.permissions = function () {
+  return this._permissions.slice();
+};
+
+
+/**
+ * Lists the codes in use.
+ * @returns {Array.<(String|Number)>}
+ */
+Registry.prototype.codes = function () {
+  return this._permissions.map(function (permission) {
+    return permission.code;
+  });
+};
+
+
+/**
+ * Lists the registered permissions, in registration order, as plain objects
+ * describing their code, metadata, agent type and default (see
+ * {@link Permission#toJSON}). The catalog can be serialized to JSON, e.g.
+ * to render a permission editor:
+ *
+ *    res.json(Permission.registry.catalog());
+ *
+ * @returns {Array.<Object>}
+ */
+Registry.prototype.catalog = function () {
+  return this._permissions.map(function (permission) {
+    return permission.toJSON();
+  });
+};
+
+
+/**
+ * Finds the index of the permission with the given code.
+ * @param {(String|Number)} code
+ * @returns {Number}
+ * @private
+ */
+Registry.prototype._indexOf = function (code) {
+  var i, len;
+
+  for (i = 0, len = this._permissions.length; i < len; i += 1) {
+    if (this._permissions[i].code === code) {
+      return i;
+    }
+  }
+
+  return -1;
+};
+
+
+
+module.exports = Registry;
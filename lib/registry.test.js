@@ -0,0 +1,197 @@
+'use strict';
+/* global describe:true, it:true */
+
+
+var expect = require('chai').expect;
+
+var Registry = require('./registry');
+
+var registry;
+
+function permission(code) {
+  return {code: code};
+}
+
+
+describe('Registry', function () {
+  beforeEach(function () {
+    registry = new Registry();
+  });
+
+
+  it('is a constructor', function () {
+    expect(Registry).to.be.a('function');
+    expect(registry).to.be.instanceof(Registry);
+  });
+
+  it('works without the \'new\' keyword', function () {
+    /* jshint newcap:false */
+    expect(Registry()).to.be.instanceof(Registry);
+  });
+
+
+  describe('instance', function () {
+    describe('#add()', function () {
+      it('adds a permission to the registry', function () {
+        var p = permission(1);
+        registry.add(p);
+        expect(registry.get(1)).to.equal(p);
+      });
+
+      it('checks for duplicate permission codes', function () {
+        registry.add(permission(1));
+
+        function reuseCode() {
+          registry.add(permission(1));
+        }
+
+        expect(reuseCode).to.throw('Duplicate permission code: 1');
+      });
+
+      it('does not confuse numeric and string codes', function () {
+        registry.add(permission(1));
+
+        function addStringCode() {
+          registry.add(permission('1'));
+        }
+
+        expect(addStringCode).to.not.throw();
+      });
+    });
+
+
+    describe('#get()', function () {
+      it('returns undefined for unknown codes', function () {
+        expect(registry.get(1)).to.be.undefined;
+      });
+
+      it('returns the permission with the given code', function () {
+        var p0 = permission(0);
+        var p1 = permission(1);
+        registry.add(p0);
+        registry.add(p1);
+        expect(registry.get(0)).to.equal(p0);
+        expect(registry.get(1)).to.equal(p1);
+      });
+    });
+
+
+    describe('#has()', function () {
+      it('checks if a code is in use', function () {
+        registry.add(permission('foo'));
+        expect(registry.has('foo')).to.be.true;
+        expect(registry.has('bar')).to.be.false;
+      });
+    });
+
+
+    describe('#remove()', function () {
+      it('removes the permission with the given code', function () {
+        registry.add(permission(1));
+        expect(registry.remove(1)).to.be.true;
+        expect(registry.has(1)).to.be.false;
+      });
+
+      it('removes the given permission', function () {
+        var p = permission(1);
+        registry.add(p);
+        expect(registry.remove(p)).to.be.true;
+        expect(registry.has(1)).to.be.false;
+      });
+
+      it('returns false if the permission is not registered', function () {
+        expect(registry.remove(1)).to.be.false;
+        expect(registry.remove(permission(1))).to.be.false;
+      });
+
+      it('frees the code to be used again', function () {
+        registry.add(permission(1));
+        registry.remove(1);
+
+        function reuseCode() {
+          registry.add(permission(1));
+        }
+
+        expect(reuseCode).to.not.throw();
+      });
+    });
+
+
+    describe('#reset()', function () {
+      it('removes every permission', function () {
+        registry.add(permission(1));
+        registry.add(permission(2));
+        registry.reset();
+        expect(registry.codes()).to.be.empty;
+      });
+    });
+
+
+    describe('#permissions()', function () {
+      it('lists the permissions in registration order', function () {
+        var p1 = permission(1);
+        var p2 = permission(2);
+        registry.add(p2);
+        registry.add(p1);
+        expect(registry.permissions()).to.deep.equal([p2, p1]);
+      });
+
+      it('returns a copy of the list', function () {
+        registry.add(permission(1));
+        registry.permissions().pop();
+        expect(registry.has(1)).to.be.true;
+      });
+    });
+
+
+    describe('#codes()', function () {
+      it('lists the codes in use', function () {
+        registry.add(permission(1));
+        registry.add(permission('foo'));
+        expect(registry.codes()).to.deep.equal([1, 'foo']);
+      });
+    });
+
+
+    describe('#catalog()', function () {
+      var Permission = require('./permission');
+      var UserPermission;
+
+      beforeEach(function () {
+        UserPermission = Permission.create(null, {
+          registry: registry,
+          agentType: 'user'
+        });
+      });
+
+      it('describes every permission', function () {
+        new UserPermission(1, true, null, {
+          name: 'Read posts',
+          category: 'posts'
+        });
+        new UserPermission(2, false, function () { return true; });
+
+        expect(registry.catalog()).to.deep.equal([{
+          code: 1,
+          name: 'Read posts',
+          category: 'posts',
+          agentType: 'user',
+          allowedByDefault: true,
+          test: false
+        }, {
+          code: 2,
+          agentType: 'user',
+          allowedByDefault: false,
+          test: true
+        }]);
+      });
+
+      it('can be exported as JSON', function () {
+        new UserPermission(1, false, null, {description: 'Edit "posts"'});
+
+        expect(JSON.parse(JSON.stringify(registry.catalog())))
+          .to.deep.equal(registry.catalog());
+      });
+    });
+  });
+});
@@ -0,0 +1,195 @@
+'use strict';
+
+
+/**
+ * Defines the `Roles` constructor, used to bundle permission codes under
+ * named roles and to expand an agent's roles into a permission set.
+ *
+ * @module roles
+ * @type {Function}
+ * @constructor
+ */
+
+
+
+/**
+ * A collection of roles. A role is a named bundle of permission codes, which
+ * may inherit the codes of other roles:
+ *
+ *    var roles = new Roles();
+ *    roles.define('reader', [11, 21]);
+ *    roles.define('editor', [12, 22], ['reader']);
+ *
+ *    roles.resolve(['editor'], {21: false});
+ *    // => {11: true, 12: true, 21: false, 22: true}
+ *
+ * @constructor
+ */
+function Roles() {
+  if (!(this instanceof Roles)) {
+    return new Roles();
+  }
+
+  /**
+   * Defined roles, indexed by name.
+   * @type {Object}
+   * @private
+   */
+  this._roles = {};
+}
+
+
+/**
+ * Defines a new role.
+ * @param {String} name Role's name.
+ * @param {Array.<(String|Number)>} codes Codes of the permissions granted by
+ *  the role.
+ * @param {Array.<String>=} inherits Names of the roles whose permissions
+ *  are also granted by this role. They don't need to be defined yet.
+ * @returns {Roles} The collection itself, for chaining.
+ */
+Roles.prototype.define = function (name, codes, inherits) {
+  if (!name) {
+    throw(new Error('Missing role name'));
+  }
+
+  if (this.has(name)) {
+    throw(new Error('Duplicate role: ' + name));
+  }
+
+  if (!Array.isArray(codes)) {
+    throw(new Error('Invalid role permissions: ' + name));
+  }
+
+  if (inherits && !Array.isArray(inherits)) {
+    throw(new Error('Invalid role inheritance: ' + name));
+  }
+
+  this._roles[name] = {
+    name: name,
+    codes: codes.slice(),
+    inherits: inherits ? inherits.slice() : []
+  };
+
+  return this;
+};
+
+
+/**
+ * Gets a role's definition.
+ * @param {String} name
+ * @returns {({name: String, codes: Array, inherits: Array}|undefined)}
+ */
+Roles.prototype.get = function (name) {
+  return this.has(name) ? this._roles[name] : undefined;
+};
+
+
+/**
+ * Checks if a role is defined.
+ * @param {String} name
+ * @returns {Boolean}
+ */
+Roles.prototype.has = function (name) {
+  return Object.prototype.hasOwnProperty.call(this._roles, name);
+};
+
+
+/**
+ * Lists the names of the defined roles.
+ * @returns {Array.<String>}
+ */
+Roles.prototype.names = function () {
+  return Object.keys(this._roles);
+};
+
+
+/**
+ * Lists the codes of every permission granted by a role, including the ones
+ * inherited from other roles.
+ * @param {String} name
+ * @returns {Array.<(String|Number)>}
+ * @throws {Error} If the role (or a role it inherits from) is not defined or
+ *  if the inheritance is circular.
+ */
+Roles.prototype.codes = function (name) {
+  var codes = [];
+
+  this._collect(name, [], codes);
+  return codes;
+};
+
+
+/**
+ * Expands the given roles into a permission set, which may be returned by a
+ * permission type's `getPermissions()`:
+ *
+ *    var UserPermission = Permission.create(function (req) {
+ *      return roles.resolve(req.user.roles, req.user.permissions);
+ *    });
+ *
+ * Every permission granted by the roles is set to `true`. Explicit entries
+ * in `permissions` are then applied on top of them, so a `false` entry
+ * revokes a permission granted by the roles.
+ *
+ * @param {Array.<String>} roles Names of the agent's roles.
+ * @param {Object=} permissions The agent's explicit permission set.
+ * @returns {Object} The effective permission set.
+ */
+Roles.prototype.resolve = function (roles, permissions) {
+  var set = {};
+  var self = this;
+  var code;
+
+  (roles || []).forEach(function (name) {
+    self.codes(name).forEach(function (code) {
+      set[code] = true;
+    });
+  });
+
+  for (code in permissions) {
+    if (permissions.hasOwnProperty(code)) {
+      set[code] = permissions[code];
+    }
+  }
+
+  return set;
+};
+
+
+/**
+ * Collects the codes granted by a role and the roles it inherits from.
+ * @param {String} name
+ * @param {Array.<String>} path Names of the roles being collected, used to
+ *  detect circular inheritance.
+ * @param {Array} codes Array in which the codes are collected.
+ * @private
+ */
+Roles.prototype._collect = function (name, path, codes) {
+  var role = this.get(name);
+  var self = this;
+
+  if (!role) {
+    throw(new Error('Unknown role: ' + name));
+  }
+
+  if (path.indexOf(name) !== -1) {
+    throw(new Error(
+      'Circular role inheritance: ' + path.concat(name).join(' -> ')
+    ));
+  }
+
+  role.codes.forEach(function (code) {
+    if (codes.indexOf(code) === -1) {
+      codes.push(code);
+    }
+  });
+
+  role.inherits.forEach(function (parent) {
+    self._collect(parent, path.concat(name), codes);
+  });
+};
+
+
+
+module.exports = Roles;
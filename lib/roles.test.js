@@ -0,0 +1,210 @@
+'use strict';
+/* global describe:true, it:true */
+
+
+var expect = require('chai').expect;
+
+var Permission = require('./permission');
+var Roles = require('./roles');
+
+var roles;
+
+
+describe('Roles', function () {
+  beforeEach(function () {
+    roles = new Roles();
+  });
+
+  afterEach(function () {
+    Permission.registry.reset();
+  });
+
+
+  it('is a constructor', function () {
+    expect(Roles).to.be.a('function');
+    expect(roles).to.be.instanceof(Roles);
+  });
+
+  it('works without the \'new\' keyword', function () {
+    /* jshint newcap:false */
+    expect(Roles()).to.be.instanceof(Roles);
+  });
+
+
+  describe('instance', function () {
+    describe('#define()', function () {
+      it('defines a role', function () {
+        roles.define('reader', [1, 2]);
+        expect(roles.get('reader')).to.deep.equal({
+          name: 'reader',
+          codes: [1, 2],
+          inherits: []
+        });
+      });
+
+      it('is chainable', function () {
+        expect(roles.define('reader', [1])).to.equal(roles);
+      });
+
+      it('requires a name', function () {
+        function withoutName() {
+          roles.define('', [1]);
+        }
+
+        expect(withoutName).to.throw('Missing role name');
+      });
+
+      it('checks for duplicate roles', function () {
+        roles.define('reader', [1]);
+
+        function redefine() {
+          roles.define('reader', [2]);
+        }
+
+        expect(redefine).to.throw('Duplicate role: reader');
+      });
+
+      it('requires an array of codes', function () {
+        function withInvalidCodes() {
+          roles.define('reader', 1);
+        }
+
+        expect(withInvalidCodes).to.throw('Invalid role permissions: reader');
+      });
+
+      it('requires an array of inherited roles', function () {
+        function withInvalidInheritance() {
+          roles.define('editor', [1], 'reader');
+        }
+
+        expect(withInvalidInheritance)
+          .to.throw('Invalid role inheritance: editor');
+      });
+    });
+
+
+    describe('#has()', function () {
+      it('checks if a role is defined', function () {
+        roles.define('reader', [1]);
+        expect(roles.has('reader')).to.be.true;
+        expect(roles.has('editor')).to.be.false;
+        expect(roles.has('hasOwnProperty')).to.be.false;
+      });
+    });
+
+
+    describe('#names()', function () {
+      it('lists the defined roles', function () {
+        roles.define('reader', [1]).define('editor', [2]);
+        expect(roles.names()).to.deep.equal(['reader', 'editor']);
+      });
+    });
+
+
+    describe('#codes()', function () {
+      it('includes the codes of inherited roles', function () {
+        roles
+          .define('admin', [4], ['editor', 'reviewer'])
+          .define('editor', [2], ['reader'])
+          .define('reviewer', [3, 1], ['reader'])
+          .define('reader', [1]);
+
+        expect(roles.codes('admin')).to.deep.equal([4, 2, 1, 3]);
+      });
+
+      it('throws for unknown roles', function () {
+        roles.define('editor', [2], ['reader']);
+
+        function codesOfUnknownRole() {
+          roles.codes('admin');
+        }
+
+        function codesOfUnknownParent() {
+          roles.codes('editor');
+        }
+
+        expect(codesOfUnknownRole).to.throw('Unknown role: admin');
+        expect(codesOfUnknownParent).to.throw('Unknown role: reader');
+      });
+
+      it('throws for circular inheritance', function () {
+        roles
+          .define('a', [1], ['b'])
+          .define('b', [2], ['c'])
+          .define('c', [3], ['a']);
+
+        function codesOfCircularRole() {
+          roles.codes('a');
+        }
+
+        expect(codesOfCircularRole)
+          .to.throw('Circular role inheritance: a -> b -> c -> a');
+      });
+    });
+
+
+    describe('#resolve()', function () {
+      beforeEach(function () {
+        roles
+          .define('reader', [1, 2])
+          .define('editor', [3], ['reader'])
+          .define('moderator', [4]);
+      });
+
+      it('grants the permissions of every role', function () {
+        expect(roles.resolve(['editor', 'moderator'])).to.deep.equal({
+          1: true,
+          2: true,
+          3: true,
+          4: true
+        });
+      });
+
+      it('applies explicit entries over the role grants', function () {
+        expect(roles.resolve(['editor'], {2: false, 5: true})).to.deep.equal({
+          1: true,
+          2: false,
+          3: true,
+          5: true
+        });
+      });
+
+      it('works without roles', function () {
+        expect(roles.resolve(null, {1: true})).to.deep.equal({1: true});
+      });
+
+      it('is consulted by permission tests', function (done) {
+        var UserPermission = Permission.create(function (req) {
+          return roles.resolve(req.user.roles, req.user.permissions);
+        });
+
+        var permission = new UserPermission(3, false);
+        var req = {user: {roles: ['editor'], permissions: {3: false}}};
+
+        permission.test(req, function (err, allow) {
+          expect(allow).to.be.false;
+
+          req = {user: {roles: ['editor'], permissions: {}}};
+          permission.test(req, function (err, allow) {
+            expect(allow).to.be.true;
+            done();
+          });
+        });
+      });
+
+      it('passes unknown roles on as errors to permission tests',
+        function (done) {
+          var UserPermission = Permission.create(function (req) {
+            return roles.resolve(req.user.roles);
+          });
+
+          var permission = new UserPermission(3, false);
+
+          permission.test({user: {roles: ['admin']}}, function (err) {
+            expect(err.message).to.equal('Unknown role: admin');
+            done();
+          });
+        });
+    });
+  });
+});
@@ -0,0 +1,87 @@
+'use strict';
+/* jshint latedef:false */
+
+var METHODS = require('http').METHODS;
+var middleware = require('./middleware');
+
+
+/**
+ * Installs permission guards in an Express app or router from a map binding
+ * routes to permissions, so the whole access policy can be declared in a
+ * single place:
+ *
+ *    routes(app, {
+ *      'GET /post/:slug': READ_POST,
+ *      'PUT,PATCH /post/:slug': EDIT_POST,
+ *      'DELETE /post/:slug': DELETE_POST,
+ *      '* /admin/*': ADMIN
+ *    });
+ *
+ * Keys are made of a comma-separated list of HTTP methods and a path, which
+ * may use any pattern supported by Express. Methods must be listed in Node's
+ * `http.METHODS`; the `*` method (or omitting the method) matches all
+ * methods. Values are anything accepted by the middleware factory as a single
+ * permission (arrays are treated as ALL clauses).
+ *
+ * Guards are installed in the map's order and **must** be installed before
+ * the route handlers they protect. If multiple entries match a request, all
+ * of them must allow it.
+ *
+ * @param {(express.Application|express.Router)} app
+ * @param {Object} map Map binding routes to permissions.
+ * @param {Object=} options Options passed to every guard (see the middleware
+ *  factory).
+ * @returns {(express.Application|express.Router)} The given app or router.
+ */
+module.exports = function (app, map, options) {
+  if (!app || !map) {
+    throw(new Error('Missing app or route map'));
+  }
+
+  Object.keys(map).forEach(function (key) {
+    var route = parse(key);
+    var guard = options ?
+      middleware(map[key], options) :
+      middleware(map[key]);
+
+    route.methods.forEach(function (method) {
+      var name = method === '*' ? 'all' : method.toLowerCase();
+
+      if ((method !== '*' && METHODS.indexOf(method.toUpperCase()) === -1) ||
+          typeof app[name] !== 'function') {
+        throw(new Error('Unsupported method: ' + method));
+      }
+
+      app[name](route.path, guard);
+    });
+  });
+
+  return app;
+};
+
+
+/**
+ * Parses a route map key into its methods and path.
+ * @param {String} key A route, such as `GET,HEAD /post/:slug`.
+ * @returns {{methods: Array.<String>, path: String}}
+ * @private
+ */
+function parse(key) {
+  var parts = key.trim().split(/\s+/);
+  var methods;
+
+  if (parts.length === 1) {
+    parts.unshift('*');
+  }
+
+  methods = parts[0].split(',').filter(Boolean);
+
+  if (parts.length !== 2 || !parts[1] || !methods.length) {
+    throw(new Error('Invalid route: ' + key));
+  }
+
+  return {
+    methods: methods,
+    path: parts[1]
+  };
+}
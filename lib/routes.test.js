@@ -0,0 +1,143 @@
+'use strict';
+/* global describe:true, it:true */
+
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+var routes = require('./routes');
+var Permission = require('./permission');
+
+
+describe('routes()', function () {
+  var app;
+  var p1, p2;
+  var res;
+
+  function clearPermissionCodes() {
+    Permission.registry.reset();
+  }
+
+  before(clearPermissionCodes);
+  afterEach(clearPermissionCodes);
+
+  beforeEach(function () {
+    app = {
+      get: sinon.spy(),
+      post: sinon.spy(),
+      put: sinon.spy(),
+      delete: sinon.spy(),
+      all: sinon.spy()
+    };
+
+    res = {sendStatus: sinon.spy()};
+
+    p1 = new Permission(1);
+    p2 = new Permission(2);
+
+    sinon.stub(p1, 'getPermissions');
+    sinon.stub(p2, 'getPermissions');
+  });
+
+
+  it('is a function', function () {
+    expect(routes).to.be.a('function');
+  });
+
+  it('returns the app', function () {
+    expect(routes(app, {})).to.equal(app);
+  });
+
+  it('requires an app and a route map', function () {
+    function withoutMap() {
+      return routes(app);
+    }
+
+    expect(withoutMap).to.throw('Missing app or route map');
+  });
+
+  it('installs guards for the given methods and paths', function () {
+    routes(app, {
+      'GET /post/:slug': p1,
+      'DELETE /post/:slug': p2
+    });
+
+    expect(app.get).to.have.been.calledOnce;
+    expect(app.get).to.have.been.calledWith('/post/:slug');
+    expect(app.get.firstCall.args[1]).to.be.a('function');
+    expect(app.delete).to.have.been.calledWith('/post/:slug');
+  });
+
+  it('installs guards for multiple methods', function () {
+    routes(app, {'POST,PUT /post': p1});
+    expect(app.post).to.have.been.calledWith('/post');
+    expect(app.put).to.have.been.calledWith('/post');
+    expect(app.post.firstCall.args[1]).to.equal(app.put.firstCall.args[1]);
+  });
+
+  it('installs guards for all methods with the * method', function () {
+    routes(app, {'* /admin/*': p1, '/settings': p2});
+    expect(app.all).to.have.been.calledWith('/admin/*');
+    expect(app.all).to.have.been.calledWith('/settings');
+  });
+
+  it('throws for invalid routes', function () {
+    function withInvalidRoute() {
+      routes(app, {'GET /post /foo': p1});
+    }
+
+    expect(withInvalidRoute).to.throw('Invalid route: GET /post /foo');
+  });
+
+  it('throws for unsupported methods', function () {
+    function withUnsupportedMethod() {
+      routes(app, {'BREW /coffee': p1});
+    }
+
+    expect(withUnsupportedMethod).to.throw('Unsupported method: BREW');
+  });
+
+  it('throws for app methods that are not HTTP methods', function () {
+    ['SET', 'RENDER', 'LISTEN', 'USE'].forEach(function (method) {
+      var map = {};
+
+      map[method + ' /post'] = p1;
+      app[method.toLowerCase()] = sinon.spy();
+
+      expect(function () {
+        routes(app, map);
+      }).to.throw('Unsupported method: ' + method);
+
+      expect(app[method.toLowerCase()]).to.not.have.been.called;
+    });
+  });
+
+  it('installs guards that test the given permissions', function () {
+    var next = sinon.spy();
+    var guard;
+
+    routes(app, {'GET /post': [p1, p2]});
+    guard = app.get.firstCall.args[1];
+
+    p1.getPermissions.returns({1: true});
+    p2.getPermissions.returns({2: true});
+    guard({}, res, next);
+    expect(next).to.have.been.calledOnce;
+
+    p2.getPermissions.returns({2: false});
+    guard({}, res, next);
+    expect(next).to.have.been.calledOnce;
+    expect(res.sendStatus).to.have.been.calledWith(403);
+  });
+
+  it('passes the options on to the guards', function () {
+    var guard;
+
+    routes(app, {'GET /post': p1}, {status: 404});
+    guard = app.get.firstCall.args[1];
+
+    p1.getPermissions.returns({1: false});
+    guard({}, res, sinon.spy());
+    expect(res.sendStatus).to.have.been.calledWith(404);
+  });
+});
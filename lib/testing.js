@@ -0,0 +1,251 @@
+'use strict';
+/* jshint latedef:false */
+
+var AssertionError = require('assert').AssertionError;
+var Permission = require('./permission');
+var has = require('./helper').has;
+var invoke = require('./util').invoke;
+var promisify = require('./util').promisify;
+
+
+
+/**
+ * Helpers for testing applications that define permissions, published as
+ * `permission-middleware/testing`:
+ *
+ *    var testing = require('permission-middleware/testing');
+ *
+ *    afterEach(testing.reset);
+ *
+ *    it('lets owners edit their posts', function () {
+ *      var req = testing.request()
+ *        .grant(UserPermission, {'post:edit': true})
+ *        .with('user', {id: 1})
+ *        .with('post', {owner: 1})
+ *        .build();
+ *
+ *      return testing.expectAllowed(EDIT_OWN_POST, req);
+ *    });
+ *
+ * Permissions use the sets granted to built requests instead of calling
+ * their getters (see {@link Permission.overrideSets}). Other requests are
+ * not affected.
+ *
+ * @module testing
+ */
+
+
+
+/**
+ * Creates a builder for fake requests.
+ * @param {Object=} properties Initial properties of the request.
+ * @returns {RequestBuilder}
+ */
+function request(properties) {
+  return new RequestBuilder(properties);
+}
+
+
+
+/**
+ * Builds fake requests, holding the permission sets of their agents and the
+ * resources they refer to. See {@link request}.
+ * @param {Object=} properties
+ * @constructor
+ */
+function RequestBuilder(properties) {
+  var self = this;
+
+  this._properties = {};
+  this._grants = [];
+
+  Object.keys(properties || {}).forEach(function (name) {
+    self._properties[name] = properties[name];
+  });
+}
+
+
+/**
+ * Grants a permission set to the request. The set is used by the
+ * permissions of the given type (and of its subtypes) instead of the one
+ * retrieved by their getter. If no type is given, the set is used by every
+ * permission.
+ * @param {function=} type Permission type.
+ * @param {Object} permissions Permission set.
+ * @returns {RequestBuilder}
+ */
+RequestBuilder.prototype.grant = function (type, permissions) {
+  if (arguments.length < 2) {
+    permissions = type;
+    type = Permission;
+  }
+
+  if (typeof type !== 'function' ||
+      (type !== Permission && !(type.prototype instanceof Permission))) {
+    throw(new Error('Invalid permission type: ' + type));
+  }
+
+  this._grants.unshift({type: type, permissions: permissions || {}});
+  return this;
+};
+
+
+/**
+ * Sets a property of the request, such as a resource fixture or the
+ * authenticated user.
+ * @param {String} name
+ * @param {*} value
+ * @returns {RequestBuilder}
+ */
+RequestBuilder.prototype.with = function (name, value) {
+  this._properties[name] = value;
+  return this;
+};
+
+
+/**
+ * Builds a new request. The builder may be used to build more requests.
+ * @returns {Object}
+ */
+RequestBuilder.prototype.build = function () {
+  var self = this;
+  var grants = this._grants.slice();
+  var req = {};
+
+  Object.keys(this._properties).forEach(function (name) {
+    req[name] = self._properties[name];
+  });
+
+  Permission.overrideSets(req, function (permission) {
+    return grantedSet(permission, grants);
+  });
+
+  return req;
+};
+
+
+
+/**
+ * Asserts that a request is allowed by a permission.
+ * @param {(function(req)|Permission|Array)} permission Permission to check
+ *  against (see {@link has}).
+ * @param {Object} req
+ * @param {function(Error)=} done Called with an `AssertionError` if the
+ *  request is denied, or with the error the permission failed with. If not
+ *  given, a promise is returned.
+ * @returns {(Promise|undefined)}
+ */
+function expectAllowed(permission, req, done) {
+  return expect(permission, req, true, done);
+}
+
+
+/**
+ * Asserts that a request is denied by a permission. Errors are not treated
+ * as denials. See {@link expectAllowed}.
+ * @param {(function(req)|Permission|Array)} permission
+ * @param {Object} req
+ * @param {function(Error)=} done
+ * @returns {(Promise|undefined)}
+ */
+function expectDenied(permission, req, done) {
+  return expect(permission, req, false, done);
+}
+
+
+/**
+ * Clears the registered permission codes, so permissions may be defined
+ * again (e.g. by another test file). Clears the default registry, along with
+ * any other given registries. Meant to be used as an `afterEach()` hook.
+ * @param {...Registry} registry Other registries to clear.
+ */
+function reset() {
+  Permission.registry.reset();
+
+  Array.prototype.forEach.call(arguments, function (registry) {
+    if (registry && typeof registry.reset === 'function') {
+      registry.reset();
+    }
+  });
+}
+
+
+
+/**
+ * Tests a request and checks the result.
+ * @param {*} permission
+ * @param {Object} req
+ * @param {Boolean} expected
+ * @param {function(Error)=} done
+ * @returns {(Promise|undefined)}
+ * @private
+ */
+function expect(permission, req, expected, done) {
+  var test = has(permission);
+
+  return promisify(function (req, done) {
+    invoke(test, req, function (err, allowed) {
+      if (err) { return done(err); }
+
+      if (Boolean(allowed) !== expected) {
+        return done(new AssertionError({
+          message: 'Expected the request to be ' +
+            (expected ? 'allowed' : 'denied') + ' by ' + label(permission),
+          actual: Boolean(allowed),
+          expected: expected,
+          operator: '==='
+        }));
+      }
+
+      done(null, expected);
+    });
+  })(req, done);
+}
+
+
+/**
+ * Describes a permission in assertion messages.
+ * @param {*} permission
+ * @returns {String}
+ * @private
+ */
+function label(permission) {
+  var codes = has(permission).codes;
+
+  if (permission instanceof Permission) {
+    return permission.name || 'permission ' + permission.code;
+  }
+
+  if (codes && codes.length) {
+    return 'permissions ' + codes.join(', ');
+  }
+
+  return (permission && permission.name) || 'the test function';
+}
+
+
+/**
+ * Gets the set granted to a built request for a permission, if any.
+ * @param {Permission} permission
+ * @param {Array.<{type: function, permissions: Object}>} grants The sets
+ *  granted to the request, latest first.
+ * @returns {(Object|undefined)}
+ * @private
+ */
+function grantedSet(permission, grants) {
+  var i;
+
+  for (i = 0; i < grants.length; i += 1) {
+    if (permission instanceof grants[i].type) {
+      return grants[i].permissions;
+    }
+  }
+}
+
+
+
+exports.request = request;
+exports.RequestBuilder = RequestBuilder;
+exports.expectAllowed = expectAllowed;
+exports.expectDenied = expectDenied;
+exports.reset = reset;
@@ -0,0 +1,198 @@
+'use strict';
+/* global describe:true, it:true */
+
+
+var AssertionError = require('assert').AssertionError;
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+var testing = require('./testing');
+var Permission = require('./permission');
+var Registry = require('./registry');
+
+var any = require('./helper').any;
+
+
+describe('testing', function () {
+  var User;
+  var Client;
+  var getUserPermissions;
+
+  function clearPermissionCodes() {
+    Permission.registry.reset();
+  }
+
+  before(clearPermissionCodes);
+  afterEach(clearPermissionCodes);
+
+  beforeEach(function () {
+    getUserPermissions = sinon.stub().returns({});
+    User = Permission.create(getUserPermissions);
+    Client = Permission.create(sinon.stub().returns({}));
+  });
+
+
+  describe('.request()', function () {
+    it('returns a request builder', function () {
+      expect(testing.request()).to.be.instanceof(testing.RequestBuilder);
+    });
+
+    describe('builder', function () {
+      it('builds requests with the given properties', function () {
+        var user = {id: 1};
+        var post = {id: 2};
+        var req = testing.request({user: user}).with('post', post).build();
+
+        expect(req).to.deep.equal({user: user, post: post});
+        expect(req.user).to.equal(user);
+      });
+
+      it('builds a new request each time', function () {
+        var builder = testing.request({user: {id: 1}});
+
+        expect(builder.build()).to.not.equal(builder.build());
+      });
+
+      it('grants permission sets to the requests', function () {
+        var req = testing.request().grant(User, {1: true}).build();
+
+        return new User(1).test(req).then(function (allowed) {
+          expect(allowed).to.be.true;
+          expect(getUserPermissions).to.not.have.been.called;
+        });
+      });
+
+      it('grants sets by permission type', function () {
+        var req = testing.request()
+          .grant(User, {1: true})
+          .grant(Client, {2: false})
+          .build();
+
+        return Promise.all([
+          new User(1).test(req),
+          new Client(2, true).test(req)
+        ]).then(function (results) {
+          expect(results).to.deep.equal([true, false]);
+        });
+      });
+
+      it('grants sets to every type if no type is given', function () {
+        var req = testing.request().grant({1: true, 2: true}).build();
+
+        return Promise.all([
+          new User(1).test(req),
+          new Client(2).test(req)
+        ]).then(function (results) {
+          expect(results).to.deep.equal([true, true]);
+        });
+      });
+
+      it('calls the getters of types without a granted set', function () {
+        var req = testing.request().grant(Client, {2: true}).build();
+
+        return new User(1).test(req).then(function () {
+          expect(getUserPermissions).to.have.been.calledOnce;
+        });
+      });
+
+      it('does not affect other requests', function () {
+        testing.request().grant(User, {1: true}).build();
+
+        return new User(1).test({}).then(function (allowed) {
+          expect(allowed).to.be.false;
+          expect(getUserPermissions).to.have.been.calledOnce;
+        });
+      });
+
+      it('throws an error for invalid types', function () {
+        expect(function () {
+          return testing.request().grant(function () {}, {});
+        }).to.throw('Invalid permission type');
+      });
+    });
+  });
+
+
+  describe('.expectAllowed()', function () {
+    it('resolves if the request is allowed', function () {
+      var req = testing.request().grant(User, {1: true}).build();
+      return testing.expectAllowed(new User(1), req);
+    });
+
+    it('rejects with an assertion error if it is denied', function () {
+      var req = testing.request().grant(User, {}).build();
+
+      return testing.expectAllowed(new User(1, false, null, {name: 'Edit'}),
+        req).then(function () {
+          throw(new Error('Should have failed'));
+        }, function (err) {
+          expect(err).to.be.instanceof(AssertionError);
+          expect(err.message).to.equal(
+            'Expected the request to be allowed by Edit');
+        });
+    });
+
+    it('accepts composites and a callback', function (done) {
+      var req = testing.request().grant(User, {2: true}).build();
+
+      testing.expectAllowed(any(new User(1), new User(2)), req,
+        function (err) {
+          expect(err).to.not.exist;
+          done();
+        });
+    });
+
+    it('passes errors on', function () {
+      var err = new Error('Boom');
+
+      getUserPermissions.throws(err);
+
+      return testing.expectAllowed(new User(1), {}).then(function () {
+        throw(new Error('Should have failed'));
+      }, function (e) {
+        expect(e).to.equal(err);
+      });
+    });
+  });
+
+
+  describe('.expectDenied()', function () {
+    it('resolves if the request is denied', function () {
+      var req = testing.request().grant(User, {1: false}).build();
+      return testing.expectDenied(new User(1, true), req);
+    });
+
+    it('rejects with an assertion error if it is allowed', function (done) {
+      var req = testing.request().grant(User, {1: true, 2: true}).build();
+
+      testing.expectDenied([new User(1), new User(2)], req, function (err) {
+        expect(err).to.be.instanceof(AssertionError);
+        expect(err.message).to.equal(
+          'Expected the request to be denied by permissions 1, 2');
+        done();
+      });
+    });
+  });
+
+
+  describe('.reset()', function () {
+    it('frees the registered permission codes', function () {
+      new User(1);
+      testing.reset();
+
+      expect(function () {
+        return new User(1);
+      }).to.not.throw();
+    });
+
+    it('clears the given registries', function () {
+      var registry = new Registry();
+      var Other = Permission.create(sinon.stub(), {registry: registry});
+
+      new Other(1);
+      testing.reset(registry);
+
+      expect(registry.codes()).to.be.empty;
+    });
+  });
+});
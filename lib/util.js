@@ -0,0 +1,207 @@
+'use strict';
+/* jshint latedef:false */
+
+
+/**
+ * Calls a test function (or permission getter) with the given request and
+ * passes its result on to `done`, regardless of how the function provides
+ * it. The function may:
+ *
+ * - return a promise for its result;
+ * - return its result directly;
+ * - accept a callback as its second argument and call it with
+ *   `(err, result)`.
+ *
+ * The callback style is assumed only if the function returns nothing and
+ * declares a second parameter. Errors thrown by the function and rejected
+ * promises are passed to `done`, which is called only once. Errors thrown by
+ * `done` itself are not caught.
+ *
+ * @param {function(req, function(Error, *))} test
+ * @param {Object} req
+ * @param {function(Error, *)} done
+ * @private
+ */
+function invoke(test, req, done) {
+  var called = false;
+  var result;
+
+  function callback(err, result) {
+    if (called) { return; }
+    called = true;
+    done(err, result);
+  }
+
+  try {
+    result = test(req, callback);
+  } catch (err) {
+    if (called) { throw err; }
+    called = true;
+    return done(err);
+  }
+
+  if (called) { return; }
+
+  if (isThenable(result)) {
+    return settle(result, callback);
+  }
+
+  if (result !== undefined || test.length < 2) {
+    callback(null, result);
+  }
+}
+
+
+/**
+ * Passes the outcome of a promise on to a node-style callback. The callback
+ * is called outside the promise chain, so errors thrown by it are not
+ * swallowed.
+ *
+ * @param {Promise} promise
+ * @param {function(Error, *)} done
+ * @private
+ */
+function settle(promise, done) {
+  promise.then(function (value) {
+    process.nextTick(function () {
+      done(null, value);
+    });
+  }, function (err) {
+    process.nextTick(function () {
+      done(err || new Error('Promise rejected without a reason'));
+    });
+  });
+}
+
+
+/**
+ * Wraps a test function so that it returns a promise for its result when
+ * called without a callback:
+ *
+ *    READ_POST(req).then(function (allowed) { ... });
+ *
+ * @param {function(req, function(Error, boolean))} test
+ * @returns {function(req, function(Error, boolean)=)}
+ * @private
+ */
+function promisify(test) {
+  return function (req, done) {
+    if (typeof done === 'function') {
+      return test(req, done);
+    }
+
+    return new Promise(function (resolve, reject) {
+      test(req, function (err, allowed) {
+        if (err) { return reject(err); }
+        resolve(allowed);
+      });
+    });
+  };
+}
+
+
+/**
+ * Wraps a callback so that, if it's not called within `ms` milliseconds,
+ * `expire` is called instead. `expire` is given the wrapped callback, which
+ * it should call with the outcome to report (e.g. a timeout error). Calls to
+ * the wrapped callback after the first one (e.g. by tests that complete
+ * after timing out) are ignored.
+ *
+ * @param {Number} ms Timeout, in milliseconds. No timeout is set if it's
+ *  `0`.
+ * @param {function(Error, *)} done
+ * @param {function(function(Error, *))} expire
+ * @returns {function(Error, *)} The wrapped callback.
+ * @private
+ */
+function timeout(ms, done, expire) {
+  var called = false;
+  var timer;
+
+  function callback() {
+    if (called) { return; }
+    called = true;
+    clearTimeout(timer);
+    done.apply(null, arguments);
+  }
+
+  if (ms > 0) {
+    timer = setTimeout(function () {
+      expire(callback);
+    }, ms);
+  }
+
+  return callback;
+}
+
+
+/**
+ * Creates the error reported when an evaluation times out. Its `code` is
+ * `ETIMEDOUT` and its `timeout` property holds the timeout that expired.
+ * @param {String} subject What timed out (e.g. `permission 12`).
+ * @param {Number} ms
+ * @returns {Error}
+ * @private
+ */
+function timeoutError(subject, ms) {
+  var err = new Error('Timed out evaluating ' + subject + ' after ' + ms +
+    'ms');
+
+  err.code = 'ETIMEDOUT';
+  err.timeout = ms;
+  return err;
+}
+
+
+/**
+ * Gets the value at the given dot-separated path of an object (e.g.
+ * `user.id`), or `undefined` if any part of the path is missing.
+ * @param {Object} object
+ * @param {String} path
+ * @returns {*}
+ * @private
+ */
+function get(object, path) {
+  return String(path).split('.').reduce(function (value, key) {
+    return value === undefined || value === null ? undefined : value[key];
+  }, object);
+}
+
+
+/**
+ * Checks if the given value looks like a promise.
+ * @param {*} value
+ * @returns {Boolean}
+ * @private
+ */
+function isThenable(value) {
+  return Boolean(value) &&
+    (typeof value === 'object' || typeof value === 'function') &&
+    typeof value.then === 'function';
+}
+
+
+/**
+ * Checks if the given argument is an options object instead of a permission
+ * (used to accept options as the last argument of variadic functions).
+ * @param {*} arg
+ * @returns {Boolean}
+ * @private
+ */
+function isOptions(arg) {
+  return Boolean(arg) &&
+    typeof arg === 'object' &&
+    !Array.isArray(arg) &&
+    typeof arg.test !== 'function';
+}
+
+
+
+exports.invoke = invoke;
+exports.settle = settle;
+exports.promisify = promisify;
+exports.timeout = timeout;
+exports.timeoutError = timeoutError;
+exports.get = get;
+exports.isThenable = isThenable;
+exports.isOptions = isOptions;
@@ -0,0 +1,144 @@
+'use strict';
+/* global describe:true, it:true */
+
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+var util = require('./util');
+
+var req = {};
+
+
+describe('invoke()', function () {
+  var invoke = util.invoke;
+
+  it('is a function', function () {
+    expect(invoke).to.be.a('function');
+  });
+
+  it('calls the test with the request and a callback', function () {
+    var test = sinon.spy();
+    invoke(test, req, function () {});
+    expect(test).to.have.been.calledOnce;
+    expect(test.firstCall.args[0]).to.equal(req);
+    expect(test.firstCall.args[1]).to.be.a('function');
+  });
+
+  it('passes the test result to the callback', function (done) {
+    invoke(function (req, cb) {
+      cb(null, true);
+    }, req, function (err, allow) {
+      expect(err).to.not.exist;
+      expect(allow).to.be.true;
+      done();
+    });
+  });
+
+  it('accepts results returned synchronously', function (done) {
+    invoke(function () {
+      return true;
+    }, req, function (err, allow) {
+      expect(err).to.not.exist;
+      expect(allow).to.be.true;
+      done();
+    });
+  });
+
+  it('waits for returned promises', function (done) {
+    invoke(function () {
+      return Promise.resolve(true);
+    }, req, function (err, allow) {
+      expect(err).to.not.exist;
+      expect(allow).to.be.true;
+      done();
+    });
+  });
+
+  it('passes the reason of rejected promises to the callback',
+    function (done) {
+      var error = new Error('test failed');
+
+      invoke(function () {
+        return Promise.reject(error);
+      }, req, function (err) {
+        expect(err).to.equal(error);
+        done();
+      });
+    });
+
+  it('passes errors thrown by the test to the callback', function (done) {
+    var error = new Error('test failed');
+
+    invoke(function () {
+      throw error;
+    }, req, function (err) {
+      expect(err).to.equal(error);
+      done();
+    });
+  });
+
+  it('calls the callback only once', function () {
+    var done = sinon.spy();
+
+    invoke(function (req, cb) {
+      cb(null, true);
+      cb(null, false);
+    }, req, done);
+
+    expect(done).to.have.been.calledOnce;
+    expect(done).to.have.been.calledWith(null, true);
+  });
+
+  it('does not catch errors thrown by the callback', function () {
+    function throwingCallback() {
+      invoke(function (req, cb) {
+        cb(null, true);
+      }, req, function () {
+        throw new Error('callback failed');
+      });
+    }
+
+    expect(throwingCallback).to.throw('callback failed');
+  });
+});
+
+
+
+describe('promisify()', function () {
+  var promisify = util.promisify;
+
+  it('is a function', function () {
+    expect(promisify).to.be.a('function');
+  });
+
+  it('calls the test with the given callback', function () {
+    var test = sinon.spy();
+    var done = function () {};
+    promisify(test)(req, done);
+    expect(test).to.have.been.calledWith(req, done);
+  });
+
+  it('returns a promise if no callback is given', function () {
+    var test = promisify(function (req, cb) {
+      cb(null, true);
+    });
+
+    return test(req).then(function (allow) {
+      expect(allow).to.be.true;
+    });
+  });
+
+  it('rejects the promise on errors', function () {
+    var error = new Error('test failed');
+    var test = promisify(function (req, cb) {
+      cb(error);
+    });
+
+    return test(req).then(function () {
+      throw(new Error('Expected the promise to be rejected'));
+    }, function (err) {
+      expect(err).to.equal(error);
+    });
+  });
+});